@@ -2,6 +2,11 @@ export class LineDisplayble {
   constructor(line) { this.line = line; }
   
   display(ctx) {
+    if (hasVaryingPressure(this.line.points)) {
+      this.displayWithPressure(ctx);
+      return;
+    }
+
     ctx.lineWidth = this.line.thickness;
     ctx.beginPath();
     ctx.moveTo(this.line.points[0].x, this.line.points[0].y); //get to line start
@@ -12,6 +17,25 @@ export class LineDisplayble {
     ctx.strokeStyle = this.line.hue;
     ctx.stroke();
   }
+
+  // draws each segment as thick as the pen was pressed at its start (a pressure of 0.5, which mice always have, is the normal thickness)
+  displayWithPressure(ctx) {
+    const points = this.line.points;
+    ctx.strokeStyle = this.line.hue;
+    ctx.lineCap = "round";
+    for (let i = 0; i < points.length - 1; i++) {
+      ctx.lineWidth = Math.max(1, this.line.thickness * 2 * (points[i].pressure ?? 0.5));
+      ctx.beginPath();
+      ctx.moveTo(points[i].x, points[i].y);
+      ctx.lineTo(points[i + 1].x, points[i + 1].y);
+      ctx.stroke();
+    }
+    ctx.lineCap = "butt";
+  }
+}
+
+function hasVaryingPressure(points) {
+  return points.some(p => p.pressure !== undefined && p.pressure !== points[0].pressure);
 }
 
 export class MouseDisplayable {
@@ -36,4 +60,23 @@ export class MouseDisplayable {
       ctx.fill();
     }
   }
-}
\ No newline at end of file
+}
+// a dashed box around the selected stroke, with a handle on its bottom right corner for resizing
+export class SelectionDisplayable {
+  constructor(bounds, handleSize) {
+    this.bounds = bounds;
+    this.handleSize = handleSize;
+  }
+
+  display(ctx) {
+    const { x, y, width, height } = this.bounds;
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "black";
+    ctx.setLineDash([4, 4]);
+    ctx.strokeRect(x, y, width, height);
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = "black";
+    ctx.fillRect(x + width - this.handleSize / 2, y + height - this.handleSize / 2, this.handleSize, this.handleSize);
+  }
+}
@@ -160,7 +160,7 @@ function getCentroid(pts) {
 }
 
 // helper: returns whether stroke is closed (end point within threshold from start)
-function isClosed(pts, threshold = 60) {
+export function isClosed(pts, threshold = 60) {
 	// compute euclidean distance between start and end point
 	const dist = Math.hypot(
 		pts[0].x - pts[pts.length - 1].x, 
@@ -0,0 +1,68 @@
+import { LineDisplayble } from "./displayables.js";
+
+//* SKETCH FILE FORMAT *//
+// Sketches are saved as JSON documents:
+//  {
+//    format: "sketchtiler-sketch",
+//    version: 2,
+//    activePen: "House",
+//    strokes: [{ structure: "House", hue: "#f54242", thickness: 5, normalized: true, points: [[x, y, pressure], ...] }, ...]
+//  }
+// pressure is left out of points that don't have one (ex: normalized strokes). Version 1 points never have one.
+// Bump SKETCH_FILE_VERSION whenever the format changes, and teach deserializeSketch() to read the older versions.
+export const SKETCH_FILE_FORMAT = "sketchtiler-sketch";
+export const SKETCH_FILE_VERSION = 2;
+
+// converts the sketchpad's strokes (and selected pen) into a sketch document
+export function serializeSketch(displayList, activePen) {
+  const strokes = [];
+  for (const displayable of displayList) {
+    if (!(displayable instanceof LineDisplayble)) continue;
+    const line = displayable.line;
+    strokes.push({
+      structure: line.structure,
+      hue: line.hue,
+      thickness: line.thickness,
+      normalized: !!displayable.normalized,
+      points: line.points.map(p => p.pressure === undefined ? [p.x, p.y] : [p.x, p.y, p.pressure]),
+    });
+  }
+
+  return {
+    format: SKETCH_FILE_FORMAT,
+    version: SKETCH_FILE_VERSION,
+    activePen: activePen,
+    strokes: strokes,
+  };
+}
+
+// converts a sketch document back into strokes the sketchpad can display.
+//    strokes of structure types that no longer exist are skipped.
+//    throws an error if doc isn't a sketch document this version can read.
+export function deserializeSketch(doc, structures) {
+  if (!doc || doc.format !== SKETCH_FILE_FORMAT) {
+    throw new Error("This file is not a SketchTiler sketch.");
+  }
+  if (!Number.isInteger(doc.version) || doc.version > SKETCH_FILE_VERSION) {
+    throw new Error(`This sketch was saved by a newer version of SketchTiler (sketch version ${doc.version}).`);
+  }
+
+  const displayList = [];
+  for (const stroke of doc.strokes ?? []) {
+    if (!(stroke.structure in structures)) {
+      console.warn(`Skipping a stroke with unknown structure type "${stroke.structure}".`);
+      continue;
+    }
+    const displayable = new LineDisplayble({
+      points: stroke.points.map(([x, y, pressure]) => pressure === undefined ? { x, y } : { x, y, pressure }),
+      thickness: stroke.thickness,
+      hue: stroke.hue,
+      structure: stroke.structure,
+    });
+    displayable.normalized = stroke.normalized;
+    displayList.push(displayable);
+  }
+
+  const activePen = (doc.activePen in structures) ? doc.activePen : null;
+  return { displayList, activePen };
+}
\ No newline at end of file
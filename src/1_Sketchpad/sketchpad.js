@@ -1,6 +1,11 @@
 import { chaikinSmooth, ramerDouglasPeucker } from "./lineCleanup.js";
-import { LineDisplayble, MouseDisplayable } from "./displayables.js";
+import { LineDisplayble, MouseDisplayable, SelectionDisplayable } from "./displayables.js";
 import { getShape } from "./shapeDetection.js";
+import { createRandomSeed, seedFromString } from "../5_Utility/seededRandom.js";
+import { serializeSketch, deserializeSketch } from "./sketchFile.js";
+import downloadFile from "../5_Utility/downloadFile.js";
+import { findStrokeAt, getStrokeBounds, moveStroke, resizeStroke, retypeStroke } from "./strokeEditing.js";
+import { getStructures } from "../3_Generators/structures.js";
 
 const sketchCanvas = document.getElementById("sketch-canvas");
 const ctx = sketchCanvas.getContext("2d");
@@ -11,7 +16,7 @@ let normalizing = normalizeToggle.checked;
 
 const lineThickness = 5;
 const sizeThreshold = 5;	// number of points that must be drawn for the stroke to be recorded
-let workingLine = { points: [], thickness: lineThickness, hue: 0, structure: null };
+let workingLine = { points: [], thickness: lineThickness, hue: 0, structure: null };	// points are { x, y, pressure }
 let mouseObject = new MouseDisplayable({
 	x: 0,
 	y: 0,
@@ -24,34 +29,101 @@ let mouseObject = new MouseDisplayable({
 let displayList = []; 
 let redoDisplayList = [];
 
+// the pointer (mouse, pen or finger) that's drawing, or null if none is
+//    every other pointer is ignored until it lets go, so a second finger or a resting palm doesn't draw
+let activePointer = null;
+
 // state snapshots
 let undoStack = [];
 let redoStack = [];
 
+// generations (tilemaps made by the Phaser scene) are part of the history too,
+//    so undoing also brings back the tilemap that was showing at the time
+let currentGeneration = null;	// id of the generation being shown, or null if there isn't one
+let nextGenerationID = 0;
+// the history at the time each running generation was requested, by generation id (see requestGeneration())
+let generationRequests = new Map();
+
+// tools
+//    "draw" draws strokes with the active pen, "erase" deletes every stroke it touches,
+//    and "select" picks a stroke to move, resize (with the handle) or change the structure type of (with the pen buttons)
+let activeTool = "draw";
+let selected = null;	// the stroke picked with the select tool
+let dragging = null;	// { mode: "move" or "resize", start, original, snapshot } while the selected stroke is being dragged
+let eraseSnapshot = null;	// the canvas state before the eraser was pressed, while it's pressed
+const SELECTION_PADDING = 8;	// in pixels, the space between a selected stroke and the box around it
+const HANDLE_SIZE = 8;
+
+// autosaving only starts once the last autosave has been restored, so setting up the sketchpad doesn't overwrite it
+const AUTOSAVE_KEY = "sketchtiler-autosave";
+let autosaveRestored = false;
+
 //* STRUCTURES *//
-// NOTE: regions can be "box" or "trace",
+// every registered structure type (see structures.js), with what the sketchpad and Regions need to know about it
+// NOTE: regions can be "box", "trace" or "fill" (the cells inside a closed stroke),
 //    this will be the region that structure generators use to place tiles.
-const structures = {  
-	"House" : { color: '#f54242', regionType: "box"   },
-	"Forest": { color: '#009632', regionType: "box"   },
-	"Fence" : { color: '#f5c842', regionType: "trace" },
-	"Path"  : { color: '#8000ff', regionType: "trace" },
-};
+const structures = {};
+for (const structure of getStructures()) {
+	structures[structure.name] = { color: structure.color, regionType: structure.regionType };
+}
 
 // STRUCTURE BUTTONS
+// each structure type gets a pen button, followed by a slider for each of its settings
+const buttonContainer = document.getElementById("buttons");
+const settingSliders = {};	// <structure type, <setting name, slider>>
 let activeButton;
-for (const type in structures) {
+for (const registered of getStructures()) {
+	const type = registered.name;
 	const structure = structures[type];
-	const button = document.getElementById(`${type.toLowerCase()}-button`);
-	if(!button) continue;
+
+	const button = document.createElement("button");
+	button.id = `${type.toLowerCase()}-button`;
+	button.className = `button ${registered.buttonClass ?? "is-light"}`;
+	button.textContent = type;
+	buttonContainer.insertBefore(button, document.getElementById("eraser-button"));
+
+	for (const setting of registered.settings ?? []) {
+		const slider = document.createElement("input");
+		Object.assign(slider, { type: "range", min: -4, max: 4, step: 1, value: 0 });
+		const span = document.createElement("span");
+		span.className = "structure-setting";
+		span.title = setting.title;
+		span.append(setting.minLabel, slider, setting.maxLabel);
+		buttonContainer.insertBefore(span, document.getElementById("eraser-button"));
+
+		settingSliders[type] ??= {};
+		settingSliders[type][setting.name] = slider;
+	}
+
 	button.onclick = () => {
+		// with a stroke selected, the pen buttons change the stroke's structure type instead
+		if(activeTool === "select" && selected){
+			retypeSelected(type);
+			return;
+		}
+
 		mouseObject.mouse.hue = structure.color;
 		button.style.borderColor = structure.color;  
 		activeButton = type;
+		setTool("draw");
+		autosave();
 	}
 }
 // initial selected marker
-document.getElementById("house-button").click();
+document.getElementById(`${Object.keys(structures)[0].toLowerCase()}-button`).click();
+
+// STRUCTURE SETTINGS
+// each slider step doubles or halves a generator setting
+function getStructureSettings() {
+	const settings = {};
+	for (const type in settingSliders) {
+		settings[type] = {};
+		for (const name in settingSliders[type]) {
+			settings[type][name] = 2 ** Number(settingSliders[type][name].value);
+		}
+	}
+	return settings;
+}
 
 //console.log(structureSketches); // DEBUG
 
@@ -65,6 +137,8 @@ sketchCanvas.addEventListener("drawing-changed", () => {
 	for (const d of displayList) {
 		d.display(ctx);
 	}
+	if (selected) getSelectionDisplayable().display(ctx);
+	if (!mouseObject.mouse.active) autosave();	// don't save half-drawn strokes
 });
 
 // move tool/cursor around canvas
@@ -74,27 +148,35 @@ sketchCanvas.addEventListener("tool-moved", () => {
 	for (const d of displayList) {
 		d.display(ctx);
 	}
+	if (selected) getSelectionDisplayable().display(ctx);
 	mouseObject.display(ctx);
 });
 
-// mouse click event, start drawing
-sketchCanvas.addEventListener("mousedown", (ev) => {
+// pointer down event, start drawing
+//    pointer events work the same for mice, pens and touch screens
+sketchCanvas.addEventListener("pointerdown", (ev) => {
+	if(!ev.isPrimary || activePointer !== null) return;	// multi-touch rejection
+	activePointer = ev.pointerId;
+	sketchCanvas.setPointerCapture(ev.pointerId);	// keep getting this pointer's events when it leaves the canvas, so a stroke can't get stuck
+	ev.preventDefault();
+
 	mouseObject = new MouseDisplayable({
 		x: ev.offsetX,
 		y: ev.offsetY,
 		hue: mouseObject.mouse.hue,
 		active: true,
 	}, lineThickness);
-	if(inCanvasBounds({ x: mouseObject.mouse.x, y: mouseObject.mouse.y })){ 
+	const point = { x: mouseObject.mouse.x, y: mouseObject.mouse.y };
+	if(activeTool === "erase"){ startErasing(point); return; }
+	if(activeTool === "select"){ startDragging(point); return; }
+
+	if(inCanvasBounds(point)){ 
 		// action tracking: save current canvas state before adding a stroke
-		undoStack.push({
-			display: [...displayList],
-			redo: [...redoDisplayList]
-		});
+		undoStack.push(takeSnapshot());
 
 		// init workingLine with new points
 		workingLine = {
-			points: [{ x: mouseObject.mouse.x, y: mouseObject.mouse.y }],
+			points: [{ x: mouseObject.mouse.x, y: mouseObject.mouse.y, pressure: ev.pressure }],
 			thickness: lineThickness,
 			hue: mouseObject.mouse.hue,
 			structure: activeButton
@@ -109,20 +191,28 @@ sketchCanvas.addEventListener("mousedown", (ev) => {
 	}
 });
 
-// mouse move event, draw on canvas
-sketchCanvas.addEventListener("mousemove", (ev) => {
+// pointer move event, draw on canvas
+sketchCanvas.addEventListener("pointermove", (ev) => {
+	if(activePointer !== null ? ev.pointerId !== activePointer : !ev.isPrimary) return;
+
 	mouseObject = new MouseDisplayable({
 		x: ev.offsetX,
 		y: ev.offsetY,
 		hue: mouseObject.mouse.hue,
 		active: mouseObject.mouse.active,
 	}, lineThickness);
-	if (mouseObject?.mouse.active) {
+	const point = { x: mouseObject.mouse.x, y: mouseObject.mouse.y };
+	if (activeTool === "erase") {
+		if (inCanvasBounds(point)) erase(point);
+	} else if (activeTool === "select") {
+		drag(point);
+	} else if (mouseObject?.mouse.active) {
 		if(inCanvasBounds({ x: mouseObject.mouse.x, y: mouseObject.mouse.y })){ 
 			// add new point to working line
 			workingLine.points.push({
 				x: mouseObject.mouse.x,
 				y: mouseObject.mouse.y,
+				pressure: ev.pressure,
 			});
 
 			sketchCanvas.dispatchEvent(changeDraw);
@@ -131,14 +221,23 @@ sketchCanvas.addEventListener("mousemove", (ev) => {
 	sketchCanvas.dispatchEvent(movedTool);
 });
 
-// mouse up event, stop drawing
-sketchCanvas.addEventListener("mouseup", (ev) => {
+// pointer up event, stop drawing
+//    a cancelled pointer (ex: the browser took over a touch) also stops drawing, keeping what was drawn so far
+sketchCanvas.addEventListener("pointerup", stopDrawing);
+sketchCanvas.addEventListener("pointercancel", stopDrawing);
+function stopDrawing(ev) {
+	if(ev.pointerId !== activePointer) return;
+	activePointer = null;
+	if(sketchCanvas.hasPointerCapture(ev.pointerId)) sketchCanvas.releasePointerCapture(ev.pointerId);
+
 	mouseObject = new MouseDisplayable({
 		x: ev.offsetX,
 		y: ev.offsetY,
 		hue: mouseObject.mouse.hue,
 		active: false,
 	}, lineThickness);
+	if(activeTool === "erase"){ stopErasing(); return; }
+	if(activeTool === "select"){ stopDragging(); return; }
 
 	if(workingLine.points.length <= sizeThreshold){
 		displayList.pop();  // remove accidental tiny stroke
@@ -153,7 +252,139 @@ sketchCanvas.addEventListener("mouseup", (ev) => {
 		sketchCanvas.dispatchEvent(changeDraw);
 		sketchCanvas.dispatchEvent(movedTool);
 	}
-});
+}
+
+//*** TOOLS ***/
+const eraserButton = document.getElementById("eraser-button");
+eraserButton.onclick = () => setTool(activeTool === "erase" ? "draw" : "erase");
+const selectButton = document.getElementById("select-button");
+selectButton.onclick = () => setTool(activeTool === "select" ? "draw" : "select");
+
+function setTool(tool) {
+	activeTool = tool;
+	selected = null;
+	dragging = null;
+	document.getElementById("eraser-button").classList.toggle("is-active", tool === "erase");
+	document.getElementById("select-button").classList.toggle("is-active", tool === "select");
+
+	// the cursor is the pen's color when drawing, and gray otherwise
+	mouseObject.mouse.hue = tool === "draw" ? structures[activeButton].color : "gray";
+}
+
+//* ERASER *//
+// everything erased while the pointer is pressed is undone together
+function startErasing(point) {
+	if(!inCanvasBounds(point)) return;
+	eraseSnapshot = takeSnapshot();
+	erase(point);
+}
+
+function erase(point) {
+	if(!eraseSnapshot) return;
+	const stroke = findStrokeAt(displayList, point);
+	if(!stroke) return;
+	displayList = displayList.filter(d => d !== stroke);
+	sketchCanvas.dispatchEvent(changeDraw);
+}
+
+function stopErasing() {
+	if(!eraseSnapshot) return;
+	if(eraseSnapshot.display.length !== displayList.length){	// only record an action if something was erased
+		undoStack.push(eraseSnapshot);
+		redoStack = [];
+	}
+	eraseSnapshot = null;
+	sketchCanvas.dispatchEvent(changeDraw);
+}
+
+//* SELECTION *//
+// pressing on the handle resizes the selected stroke, pressing inside its box moves it,
+//    and pressing anywhere else selects the stroke there (and starts moving it) or deselects
+function startDragging(point) {
+	let mode = "move";
+	if(selected && isOnHandle(point)){ mode = "resize"; }
+	else if(!selected || !isInSelection(point)){ selected = findStrokeAt(displayList, point); }
+
+	if(selected){
+		dragging = { mode: mode, start: point, original: selected, snapshot: takeSnapshot() };
+	}
+	sketchCanvas.dispatchEvent(changeDraw);
+}
+
+function drag(point) {
+	if(!dragging) return;
+
+	// the stroke is kept inside the canvas, so it can still be turned into tiles
+	const bounds = getStrokeBounds(dragging.original.line);
+	let edited;
+	if(dragging.mode === "move"){
+		const dx = clamp(point.x - dragging.start.x, -bounds.x, sketchCanvas.width-1 - (bounds.x + bounds.width));
+		const dy = clamp(point.y - dragging.start.y, -bounds.y, sketchCanvas.height-1 - (bounds.y + bounds.height));
+		edited = moveStroke(dragging.original, dx, dy);
+	} else {
+		edited = resizeStroke(dragging.original, {
+			x: clamp(point.x - SELECTION_PADDING, bounds.x, sketchCanvas.width-1),
+			y: clamp(point.y - SELECTION_PADDING, bounds.y, sketchCanvas.height-1),
+		});
+	}
+	replaceSelected(edited);
+}
+
+function stopDragging() {
+	if(!dragging) return;
+	if(selected !== dragging.original){	// only record an action if the stroke was moved or resized
+		undoStack.push(dragging.snapshot);
+		redoStack = [];
+	}
+	dragging = null;
+	sketchCanvas.dispatchEvent(changeDraw);
+}
+
+function retypeSelected(type) {
+	if(selected.line.structure === type) return;
+	undoStack.push(takeSnapshot());
+	redoStack = [];
+	replaceSelected(retypeStroke(selected, type, structures[type]));
+}
+
+function deleteSelected() {
+	undoStack.push(takeSnapshot());
+	redoStack = [];
+	displayList = displayList.filter(d => d !== selected);
+	selected = null;
+	sketchCanvas.dispatchEvent(changeDraw);
+}
+
+// puts an edited copy of the selected stroke where the selected stroke was
+function replaceSelected(edited) {
+	displayList = displayList.map(d => d === selected ? edited : d);
+	selected = edited;
+	sketchCanvas.dispatchEvent(changeDraw);
+}
+
+function getSelectionBounds() {
+	const bounds = getStrokeBounds(selected.line);
+	return {
+		x: bounds.x - SELECTION_PADDING,
+		y: bounds.y - SELECTION_PADDING,
+		width: bounds.width + 2*SELECTION_PADDING,
+		height: bounds.height + 2*SELECTION_PADDING,
+	};
+}
+
+function getSelectionDisplayable() {
+	return new SelectionDisplayable(getSelectionBounds(), HANDLE_SIZE);
+}
+
+function isInSelection(p) {
+	const b = getSelectionBounds();
+	return p.x >= b.x && p.x <= b.x + b.width && p.y >= b.y && p.y <= b.y + b.height;
+}
+
+function isOnHandle(p) {
+	const b = getSelectionBounds();
+	return Math.abs(p.x - (b.x + b.width)) <= HANDLE_SIZE && Math.abs(p.y - (b.y + b.height)) <= HANDLE_SIZE;
+}
 
 //*** FUNCTION BUTTONS ***/
 //* CLEAR *//
@@ -161,10 +392,8 @@ sketchCanvas.addEventListener("mouseup", (ev) => {
 const clearButton = document.getElementById(`clear-button`);
 clearButton.onclick = () => {
 	// push a clear action to undo stack
-	undoStack.push({
-		display: [...displayList],
-		redo: [...redoDisplayList]
-	});
+	undoStack.push(takeSnapshot());
+	redoStack = [];
 
 	// clear canvas
 	clear();
@@ -175,46 +404,230 @@ function clear() {
 	ctx.clearRect(0, 0, sketchCanvas.width, sketchCanvas.height);
 	displayList = [];
 	redoDisplayList = [];
+	selected = null;
 	window.dispatchEvent(clearPhaser);
 	sketchCanvas.dispatchEvent(changeDraw);
 }
 
 //* GENERATE */
 const generateButton = document.getElementById("generate-button");
+const seedInput = document.getElementById("seed-input");
+const layeredToggle = document.getElementById("layered-toggle");
+const incrementalToggle = document.getElementById("incremental-toggle");
 generateButton.onclick = () => {
 	showDebugText();
+	clearWarnings();
+
+	// use the entered seed, or pick a new one and show it so this map can be reproduced later
+	const seedText = seedInput.value.trim();
+	const seed = (seedText === "") ? createRandomSeed() : seedFromString(seedText);
+	seedInput.placeholder = `Seed: ${seed}`;
+	// an entered seed always gives the same map, so it can't depend on the map that's showing
+	const incremental = incrementalToggle.checked && seedText === "";
 	
 	// sends sketch data to Phaser scene
 	const toPhaser = new CustomEvent("generate", { 
-		detail: {sketch: displayList, structures: structures} 
+		detail: {sketch: displayList, structures: structures, seed: seed, settings: getStructureSettings(), layered: layeredToggle.checked, incremental: incremental, generation: requestGeneration()} 
 	});
 	window.dispatchEvent(toPhaser);
 }
 
+// show how far along generation is on the generate button
+window.addEventListener("generationProgress", (e) => {
+	const { solvedCells, totalCells } = e.detail;
+	generateButton.textContent = `Generating... ${Math.floor(100 * solvedCells / totalCells)}%`;
+});
+window.addEventListener("generationFinished", (e) => {
+	generateButton.textContent = "Generate";
+	const request = generationRequests.get(e.detail.generation);
+	generationRequests.delete(e.detail.generation);
+
+	// a finished generation is added to the history like any other action (cancelled ones aren't),
+	//    at the point it was requested: strokes drawn while it ran come after it, since its tilemap was made without them
+	if (!e.detail.success) return;
+	if(undoStack.length >= request.undoLength && undoStack[request.undoLength - 1] === request.undoTop) {
+		for(const snapshot of undoStack.slice(request.undoLength)) snapshot.generation = e.detail.generation;
+		undoStack.splice(request.undoLength, 0, request.snapshot);
+	}
+	else {
+		undoStack.push(takeSnapshot());	// the history was undone past the request, so the generation can only go on top
+	}
+	redoStack = [];
+	currentGeneration = e.detail.generation;
+});
+
+// returns the id of a new generation, remembering where in the history it was requested
+function requestGeneration() {
+	const id = nextGenerationID++;
+	generationRequests.set(id, { snapshot: takeSnapshot(), undoLength: undoStack.length, undoTop: undoStack.at(-1) });
+	return id;
+}
+
+//* WARNINGS *//
+// problems with the sketch that generation worked around (ex: a house that was too small), shown above the map until the next generation
+const sketchWarnings = document.getElementById("sketch-warnings");
+window.addEventListener("sketchWarning", (e) => {
+	const line = document.createElement("p");
+	line.textContent = e.detail.message;
+	sketchWarnings.append(line);
+	sketchWarnings.hidden = false;
+});
+
+function clearWarnings() {
+	sketchWarnings.replaceChildren();
+	sketchWarnings.hidden = true;
+}
+
+//* STATUS *//
+// how generation of every region (and of the map suggestions) went, with a retry button for each one that failed
+const statusPanel = document.getElementById("status-panel");
+const STATUS_TAGS = { generating: "is-info", done: "is-success", failed: "is-danger", cancelled: "is-light" };
+window.addEventListener("generationStatus", (e) => {
+	statusPanel.replaceChildren(...e.detail.statuses.map(createStatusRow));
+	statusPanel.hidden = false;
+});
+
+function createStatusRow(status) {
+	const row = document.createElement("p");
+	const tag = document.createElement("span");
+	tag.className = `tag ${STATUS_TAGS[status.state]}`;
+	tag.textContent = status.state;
+	row.append(tag, ` ${status.label}`);
+
+	if(status.attempts !== null) row.append(` (${status.attempts} attempt${status.attempts === 1 ? "" : "s"})`);
+	if(status.message) row.append(`: ${status.message}`);
+	if(status.state === "failed") {
+		const retryButton = document.createElement("button");
+		retryButton.className = "button is-small is-light";
+		retryButton.textContent = "Retry";
+		retryButton.onclick = () => {
+			window.dispatchEvent(new CustomEvent("retryRegion", { detail: {key: status.key, generation: requestGeneration()} }));
+		}
+		row.append(" ", retryButton);
+	}
+	return row;
+}
+
+//* CANCEL *//
+// stops a generation that's taking too long
+const cancelButton = document.getElementById("cancel-button");
+cancelButton.onclick = () => {
+	window.dispatchEvent(new CustomEvent("cancelGeneration"));
+}
+
+//* EXPORT *//
+// asks the Phaser scene to download its generated map as a Tiled map
+const exportButton = document.getElementById("export-button");
+exportButton.onclick = () => {
+	window.dispatchEvent(new CustomEvent("exportMap"));
+}
+
+//* WFC STEPS *//
+// opens (or closes) the Phaser scene that replays WFC one step at a time, over the tilemap
+//    it replays the regions of the sketch as it is when the scene opens
+const wfcStepsButton = document.getElementById("wfc-steps-button");
+wfcStepsButton.onclick = () => {
+	wfcStepsButton.classList.toggle("is-active");
+	window.dispatchEvent(new CustomEvent("toggleWFCSteps", {
+		detail: {sketch: [...displayList], structures: structures, settings: getStructureSettings()}
+	}));
+}
+
+//* SAVE / LOAD *//
+// sketches are saved as JSON documents (see sketchFile.js),
+//    and are also autosaved to localStorage so they survive a page reload
+const saveButton = document.getElementById("save-button");
+saveButton.onclick = () => {
+	const doc = serializeSketch(displayList, activeButton);
+	downloadFile(JSON.stringify(doc), "sketch.json");
+}
+
+const loadButton = document.getElementById("load-button");
+const loadInput = document.getElementById("load-input");
+loadButton.onclick = () => loadInput.click();
+loadInput.onchange = async () => {
+	const file = loadInput.files[0];
+	loadInput.value = "";	// so the same file can be loaded again
+	if (!file) return;
+
+	try {
+		loadSketch(JSON.parse(await file.text()));
+	} catch (e) {
+		alert(`Couldn't load ${file.name}: ${e.message}`);
+	}
+}
+
+// replaces the current sketch with a sketch document (can be undone)
+function loadSketch(doc) {
+	const sketch = deserializeSketch(doc, structures);
+
+	undoStack.push(takeSnapshot());
+	redoStack = [];
+
+	displayList = sketch.displayList;
+	redoDisplayList = [];
+	selected = null;
+	if (sketch.activePen) document.getElementById(`${sketch.activePen.toLowerCase()}-button`).click();
+	sketchCanvas.dispatchEvent(changeDraw);
+}
+
+function autosave() {
+	if (!autosaveRestored) return;
+	try {
+		localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(serializeSketch(displayList, activeButton)));
+	} catch (e) {
+		console.warn("Couldn't autosave the sketch:", e);	// e.g. storage is full or disabled
+	}
+}
+
+// reopen the last sketch, without adding it to the undo history
+function restoreAutosave() {
+	try {
+		const saved = localStorage.getItem(AUTOSAVE_KEY);
+		if (!saved) return;
+		const sketch = deserializeSketch(JSON.parse(saved), structures);
+		displayList = sketch.displayList;
+		if (sketch.activePen) document.getElementById(`${sketch.activePen.toLowerCase()}-button`).click();
+		sketchCanvas.dispatchEvent(changeDraw);
+	} catch (e) {
+		console.warn("Couldn't restore the autosaved sketch:", e);
+	} finally {
+		autosaveRestored = true;
+	}
+}
+restoreAutosave();
+
 //* NORMALIZE STROKES *//
 normalizeToggle.onclick = () => {
 	normalizing = document.getElementById("normalize-toggle").checked;
-	if(normalizing){ normalizeStrokes(); }
+	if(normalizing && displayList.some(d => d instanceof LineDisplayble && !d.normalized)){
+		undoStack.push(takeSnapshot());	// normalizing existing strokes can be undone
+		redoStack = [];
+		normalizeStrokes();
+	}
 }
 function normalizeStrokes(){
 	// shape-ify each line in displayList
-	for (const displayable of displayList) {
-		if (displayable instanceof LineDisplayble) {
-			if(!displayable.normalized){	// don't re-normalize a stroke that has already been normalized
-				displayable.normalized = true;
-				const shape = getShape(displayable.line.points);
-				//console.log(displayable, shape)
-				if(shape){
-					displayable.line.points = shape.points;
-				} else {
-					// for unrecognized shapes, de-noise stroke by running rdp, then chaikin
-					const simplified = ramerDouglasPeucker(displayable.line.points, 10); // Adjust tolerance as needed
-					const smoothed = chaikinSmooth(simplified, 4);
-					displayable.line.points = smoothed.filter(p => inCanvasBounds(p));
-				}
-			}
+	//    normalized strokes replace the originals instead of changing them, since undo snapshots share them
+	displayList = displayList.map((displayable) => {
+		if (!(displayable instanceof LineDisplayble) || displayable.normalized) return displayable;	// don't re-normalize a stroke that has already been normalized
+
+		let points;
+		const shape = getShape(displayable.line.points);
+		//console.log(displayable, shape)
+		if(shape){
+			points = shape.points;
+		} else {
+			// for unrecognized shapes, de-noise stroke by running rdp, then chaikin
+			const simplified = ramerDouglasPeucker(displayable.line.points, 10); // Adjust tolerance as needed
+			const smoothed = chaikinSmooth(simplified, 4);
+			points = smoothed.filter(p => inCanvasBounds(p));
 		}
-	}
+
+		const normalized = new LineDisplayble({ ...displayable.line, points: points });
+		normalized.normalized = true;
+		return normalized;
+	});
 	sketchCanvas.dispatchEvent(changeDraw); // Re-render the canvas after simplifying
 }
 
@@ -230,14 +643,9 @@ function undo(){
 
 	let lastAction = undoStack.pop();
 
-	redoStack.push({
-		display: [...displayList],
-		redo: [...redoDisplayList]
-	});
+	redoStack.push(takeSnapshot());
 
-	displayList = [...lastAction.display];
-	redoDisplayList = [...lastAction.redo];
-	sketchCanvas.dispatchEvent(changeDraw);
+	restoreSnapshot(lastAction, "undoSketch");
 	return;
 }
 
@@ -249,15 +657,33 @@ function redo() {
 
 	let action = redoStack.pop();
 
-	undoStack.push({
+	undoStack.push(takeSnapshot());
+
+	restoreSnapshot(action, "redoSketch");
+	return;
+}
+
+// the state that undo/redo can go back to
+function takeSnapshot() {
+	return {
 		display: [...displayList],
-		redo: [...redoDisplayList]
-	})
+		redo: [...redoDisplayList],
+		generation: currentGeneration
+	};
+}
 
-	displayList = [...action.display];
-	redoDisplayList = [...action.redo];
+// goes back to a snapshot, and tells the Phaser scene which generation to show (eventName is "undoSketch" or "redoSketch")
+function restoreSnapshot(snapshot, eventName) {
+	displayList = [...snapshot.display];
+	redoDisplayList = [...snapshot.redo];
+	selected = null;
+	dragging = null;
 	sketchCanvas.dispatchEvent(changeDraw);
-	return;
+
+	if (snapshot.generation !== currentGeneration) {
+		currentGeneration = snapshot.generation;
+		window.dispatchEvent(new CustomEvent(eventName, { detail: { generation: currentGeneration } }));
+	}
 }
 
 // handle undo/redo for draw actions
@@ -281,8 +707,16 @@ document.addEventListener('keydown', (e) => {
 		if(e.shiftKey){ redo(); }
 		else { undo(); }
 	}
+	if(activeTool === "select" && selected && !dragging && document.activeElement?.tagName !== "INPUT"){
+		if(e.key === "Delete" || e.key === "Backspace"){ deleteSelected(); }
+		if(e.key === "Escape"){ selected = null; sketchCanvas.dispatchEvent(changeDraw); }
+	}
 });
 
+function clamp(value, min, max) {
+	return Math.min(Math.max(value, min), max);
+}
+
 function inCanvasBounds(p) {
 	return p.x >= 0 && p.x <= sketchCanvas.width-1 && p.y >= 0 && p.y <= sketchCanvas.height-1;
 }
@@ -0,0 +1,80 @@
+import { LineDisplayble } from "./displayables.js";
+
+//* STROKE EDITING *//
+// helpers for the eraser and selection tools.
+//    edits never change a stroke, they return a new one instead, since undo snapshots share strokes with the sketchpad.
+
+const HIT_TOLERANCE = 6;	// in pixels, how far outside a stroke's line it can still be clicked
+const MIN_RESIZE = 10;		// in pixels, the smallest a stroke can be resized to
+
+// returns the topmost stroke that p is on, or null if there isn't one
+export function findStrokeAt(displayList, p) {
+  for (let i = displayList.length - 1; i >= 0; i--) {
+    const displayable = displayList[i];
+    if (displayable instanceof LineDisplayble && isOnStroke(displayable.line, p)) return displayable;
+  }
+  return null;
+}
+
+// returns whether p is on (or within HIT_TOLERANCE of) a stroke's line
+export function isOnStroke(line, p) {
+  const maxDistance = line.thickness / 2 + HIT_TOLERANCE;
+  const points = line.points;
+  if (points.length === 1) return Math.hypot(p.x - points[0].x, p.y - points[0].y) <= maxDistance;
+  for (let i = 0; i < points.length - 1; i++) {
+    if (distanceToSegment(p, points[i], points[i + 1]) <= maxDistance) return true;
+  }
+  return false;
+}
+
+// returns the smallest box that contains a stroke's points, as { x, y, width, height }
+export function getStrokeBounds(line) {
+  const xs = line.points.map(p => p.x);
+  const ys = line.points.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+// returns a copy of a stroke moved by (dx, dy)
+export function moveStroke(displayable, dx, dy) {
+  return copyStroke(displayable, {
+    points: displayable.line.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy })),
+  });
+}
+
+// returns a copy of a stroke scaled so its bounds' bottom right corner is at corner (its top left corner stays put)
+export function resizeStroke(displayable, corner) {
+  const bounds = getStrokeBounds(displayable.line);
+  // a straight horizontal or vertical stroke has no height or width, so it can only be stretched along its length
+  const scaleX = bounds.width === 0 ? 1 : Math.max(corner.x - bounds.x, MIN_RESIZE) / bounds.width;
+  const scaleY = bounds.height === 0 ? 1 : Math.max(corner.y - bounds.y, MIN_RESIZE) / bounds.height;
+  return copyStroke(displayable, {
+    points: displayable.line.points.map(p => ({
+      ...p,
+      x: bounds.x + (p.x - bounds.x) * scaleX,
+      y: bounds.y + (p.y - bounds.y) * scaleY,
+    })),
+  });
+}
+
+// returns a copy of a stroke that belongs to another structure type
+export function retypeStroke(displayable, structureType, structure) {
+  return copyStroke(displayable, { structure: structureType, hue: structure.color });
+}
+
+// returns a copy of a stroke with some of its line's properties replaced
+function copyStroke(displayable, changes) {
+  const copy = new LineDisplayble({ ...displayable.line, ...changes });
+  copy.normalized = displayable.normalized;
+  return copy;
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  // t is how far along the segment the closest point to p is, from 0 (at a) to 1 (at b)
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
@@ -1,7 +1,10 @@
+import { getShape } from "./shapeDetection.js";
+
 export class Regions {
   regionBlock = {
     box: (strokes) => this.getBoundingBox(strokes),
     trace: (strokes) => this.getTrace(strokes),
+    fill: (strokes) => this.getFill(strokes),
   };
 
   structureSketches = { lastIndex: -1 }
@@ -181,6 +184,49 @@ export class Regions {
     return result;
   }
 
+  // for "fill" region types
+  //    gets the bounding box of the stroke, plus a mask of which of its cells are inside the closed shape the stroke draws
+  //    (the cells the stroke passes through are inside too, so thin or open shapes aren't empty)
+  getFill(stroke) {
+    if (!stroke) return;
+
+    // use the clean shape when the stroke looks like one, otherwise the stroke itself (as if it was closed)
+    const shape = getShape(stroke);
+    const polygon = shape ? shape.points : stroke;
+
+    const region = this.getBoundingBox(polygon);
+    const mask = Array.from({ length: region.height }, () => Array(region.width).fill(false));
+
+    // scanline fill: for the center of each row of cells, find where the polygon's edges cross it,
+    //    then fill the cells between every pair of crossings
+    for (let y = 0; y < region.height; y++) {
+      const scanY = (region.topLeft.y + y + 0.5) * this.cellSize;
+      const crossings = [];
+      for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        if ((a.y <= scanY) !== (b.y <= scanY)) {
+          crossings.push(a.x + (scanY - a.y) * (b.x - a.x) / (b.y - a.y));
+        }
+      }
+      crossings.sort((a, b) => a - b);
+
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        for (let x = 0; x < region.width; x++) {
+          const centerX = (region.topLeft.x + x + 0.5) * this.cellSize;
+          if (centerX >= crossings[i] && centerX <= crossings[i + 1]) mask[y][x] = true;
+        }
+      }
+    }
+
+    for (const cell of this.completeShape(this.pointsToCells(polygon))) {
+      mask[cell.y - region.topLeft.y][cell.x - region.topLeft.x] = true;
+    }
+
+    region.mask = mask;
+    return region;
+  }
+
   // uses linear interpolation to fill empty cells in shapes with few points 
   //    prevents squares, triangles, etc from being represented as just their angle points
   completeShape(points) {
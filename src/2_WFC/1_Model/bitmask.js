@@ -59,6 +59,20 @@ export default class Bitmask {
     return copy;
   }
 
+  /**
+   * Returns a new Bitmask from a string made by toBase64().
+   * @param {string} str
+   * @returns {Bitmask}
+   */
+  static fromBase64(str) {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const bitmask = new Bitmask(0);
+    bitmask.array = new Uint32Array(bytes.buffer);
+    return bitmask;
+  }
+
   /**
    * Sets the bit at index i to 1.
    * @param {number} i 
@@ -69,6 +83,16 @@ export default class Bitmask {
     return this;	// so the caller can call this function on a new Bitmask in one line (ex: const b = new Bitmask(n).setBit(i))
   }
 
+  /**
+   * Sets the bit at index i to 0.
+   * @param {number} i 
+   */
+  unsetBit(i) {
+    const ai = Math.floor(i/32);
+    this.array[ai] &= ~Bitmask.indexToSubBitmask(i);
+    return this;
+  }
+
   /** Sets all bits to 0. */
   clear() {
     this.array.fill(0);
@@ -99,6 +123,17 @@ export default class Bitmask {
     for (let i = 0; i < this.array.length; i++) this.array[i] |= other.array[i];
   }
 
+  /**
+   * Returns a compact string of this Bitmask's bits, so it can be stored as JSON. Use Bitmask.fromBase64() to turn it back into a Bitmask.
+   * @returns {string}
+   */
+  toBase64() {
+    const bytes = new Uint8Array(this.array.buffer, this.array.byteOffset, this.array.byteLength);
+    let binary = "";
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+  }
+
   /**
    * Returns an array of the set bit indices of this Bitmask. Ex: 1010 (binary) -> [1, 3] (decimal).
    * @returns {number[]}
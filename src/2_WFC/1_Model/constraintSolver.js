@@ -1,6 +1,6 @@
-import DIRECTIONS from "./DIRECTIONS.js";
-import Bitmask from "./Bitmask.js";
-import Queue from "./Queue.js";
+import DIRECTIONS from "./directions.js";
+import Bitmask from "./bitmask.js";
+import Queue from "./queue.js";
 import PerformanceProfiler from "../../5_Utility/PerformanceProfiler.js";
 
 export default class ConstraintSolver {
@@ -10,6 +10,63 @@ export default class ConstraintSolver {
    */
   waveMatrix;
 
+  /**
+   * Used for every random decision made while solving. Replace with a seeded random number generator to make solving reproducible.
+   * @type {RandomNumberGenerator}
+   */
+  random = Math.random;
+
+  /**
+   * How many times an attempt can backtrack (undo its most recent observation) when a contradiction is created before restarting.
+   * 0 disables backtracking, meaning every contradiction restarts the attempt from scratch.
+   * @type {number}
+   */
+  backtrackBudget = 0;
+
+  /**
+   * The observations made so far in the current attempt, in order. Only recorded when backtracking is enabled.
+   * @type {Decision[]}
+   */
+  decisions = [];
+
+  /**
+   * The previous version of every cell changed since the first observation of the current attempt, in order.
+   * Rewinding it restores this.waveMatrix to how it was at any earlier observation.
+   * @type {[y: number, x: number, previousCell: Cell][]}
+   */
+  trail = [];
+
+  /** Whether the right edge of this.waveMatrix constrains the left edge (and the bottom constrains the top) or not, which makes the solved image tileable. */
+  periodicOutput = false;
+
+  /** How many times the current attempt has backtracked. */
+  numBacktracks = 0;
+
+  /** How many attempts the current (or last) call to solve() has made, including the one that succeeded (if any). */
+  numAttempts = 0;
+
+  /**
+   * The position ([y, x]) of the cell that had no possible patterns left the last time propagate() created a contradiction.
+   * @type {number[] | null}
+   */
+  contradictionPosition = null;
+
+  /** How many cells had only one possible pattern left the last time the least entropy cell was searched for. */
+  numSolvedCells = 0;
+
+  /**
+   * If set, called with the progress of solve() before every observation.
+   * @type {((progress: SolverProgress) => void) | null}
+   */
+  onProgress = null;
+
+  /**
+   * If set, called after every step of solve(), so solving can be watched one step at a time (see Demo_WFCSteps).
+   * Each step gets a copy of this.waveMatrix, which makes solving much slower, so only set this for small images.
+   * @type {((step: SolverStep) => void) | null}
+   */
+  onStep = null;
+
   performanceProfiler = new PerformanceProfiler();
 
   /**
@@ -27,35 +84,67 @@ export default class ConstraintSolver {
   solve(weights, adjacencies, setTileInstructions, width, height, maxAttempts, logProgress, profile) {
     this.performanceProfiler.clearData();
     this.profileFunctions(profile);
-
     this.initializeWaveMatrix(weights.length, width, height);
-    this.setTiles(setTileInstructions, adjacencies);
+    this.numAttempts = 1;
+    this.emitStep({ type: "start", y: -1, x: -1 });
+    try {
+      this.setTiles(setTileInstructions, adjacencies);
+    } catch (error) {
+      this.numAttempts = 0;	// the set tiles contradicted before the first attempt
+      throw error;
+    }
 
-    let numAttempts = 1;
-    while (numAttempts <= maxAttempts) {	// use <= so maxAttempts can be 1
+    while (this.numAttempts <= maxAttempts) {	// use <= so maxAttempts can be 1
       const [y, x] = this.getLeastEntropyUnsolvedCellPosition(weights);
+      if (this.onProgress) this.onProgress({ attempt: this.numAttempts, solvedCells: this.numSolvedCells, totalCells: width*height });
       if (y === -1 && x === -1) {
-        if (logProgress) console.log(`solved in ${numAttempts} attempt(s)`);
+        this.emitStep({ type: "solved", y: -1, x: -1 });
+        if (logProgress) console.log(`solved in ${this.numAttempts} attempt(s)` + (this.backtrackBudget > 0 ? `, backtracking ${this.numBacktracks} time(s) in the last` : ""));
         if (profile) this.performanceProfiler.logData();
         return true;
       }
 
-      this.observe(y, x, weights);
+      const cellBeforeObservation = this.waveMatrix[y][x];
+      const pattern = this.observe(y, x, weights);
+      if (this.backtrackBudget > 0) {
+        this.decisions.push({ y, x, pattern, trailLength: this.trail.length });
+        this.trail.push([y, x, cellBeforeObservation]);
+      }
+      this.emitStep({ type: "observe", y, x, pattern });
 
       if (logProgress) console.log("propagating...");
       const contradictionCreated = this.propagate(y, x, adjacencies);
+      this.emitStep({ type: "propagate", y, x, contradiction: contradictionCreated ? this.contradictionPosition : null });
       if (contradictionCreated) {
+        if (this.backtrackBudget > 0) {
+          if (this.backtrack(adjacencies)) continue;
+          if (logProgress) console.log("backtrack budget used up, restarting");
+        }
+        this.numAttempts++;
+        if (this.numAttempts > maxAttempts) break;
         this.initializeWaveMatrix(weights.length, width, height);
+        this.emitStep({ type: "start", y: -1, x: -1 });
         this.setTiles(setTileInstructions, adjacencies);
-        numAttempts++;
       }
     }
 
+    this.numAttempts = maxAttempts;
+    this.emitStep({ type: "failed", y: -1, x: -1 });
     if (logProgress) console.log("max attempts reached");
     if (profile) this.performanceProfiler.logData();
     return false;
   }
 
+  /**
+   * Calls this.onStep (if it's set) with a step of solve() and a copy of this.waveMatrix after the step.
+   * Cells are replaced rather than modified once they're initialized (see setTiles(), observe() and setCell()), so copying the rows is enough.
+   * @param {{ type: string, y: number, x: number, pattern?: number, contradiction?: number[] | null }} step
+   */
+  emitStep(step) {
+    if (!this.onStep) return;
+    this.onStep({ ...step, attempt: this.numAttempts, waveMatrix: this.waveMatrix.map(row => [...row]) });
+  }
+
   /**
    * Registers/unregisters important member functions to the performance profiler.
    * @param {bool} value Whether to profile (register) or not (unregister).
@@ -68,6 +157,7 @@ export default class ConstraintSolver {
       this.getShannonEntropy = this.performanceProfiler.register(this.getShannonEntropy, true);
       this.observe = this.performanceProfiler.register(this.observe, false);
       this.propagate = this.performanceProfiler.register(this.propagate, false);
+      this.backtrack = this.performanceProfiler.register(this.backtrack, false);
     } else {
       this.initializeWaveMatrix = this.performanceProfiler.unregister(this.initializeWaveMatrix);
       this.setTiles = this.performanceProfiler.unregister(this.setTiles);
@@ -75,16 +165,21 @@ export default class ConstraintSolver {
       this.getShannonEntropy = this.performanceProfiler.unregister(this.getShannonEntropy);
       this.observe = this.performanceProfiler.unregister(this.observe);
       this.propagate = this.performanceProfiler.unregister(this.propagate);
+      this.backtrack = this.performanceProfiler.unregister(this.backtrack);
     }
   }
 
   /**
-   * Initializes each cell in this.waveMatrix to have every pattern be possible.
+   * Initializes each cell in this.waveMatrix to have every pattern be possible. Also forgets all backtracking history.
    * @param {number} numPatterns Used to create PossiblePatternBitmasks for cells.
    * @param {number} width The width to set this.waveMatrix to.
    * @param {number} height The height to set this.waveMatrix to.
    */
   initializeWaveMatrix(numPatterns, width, height) {
+    this.decisions = [];
+    this.trail = [];
+    this.numBacktracks = 0;
+
     this.waveMatrix = [];
     for (let y = 0; y < height; y++) this.waveMatrix[y] = [];
 
@@ -98,7 +193,7 @@ export default class ConstraintSolver {
   }
 
   /**
-   * Executes the user's set tile instructions.
+   * Executes the user's set tile instructions, emitting a "set" step for each one.
    * @param {SetTileInstruction[]} setTileInstructions 
    * @param {AdjacentPatternsMap[]} adjacencies
    */
@@ -108,8 +203,16 @@ export default class ConstraintSolver {
         console.warn("A set tile instruction asks for a position outside of the wave matrix. Ignoring this instruction.");
         continue;
       }
-      this.waveMatrix[y][x].intersectWith(tilePatternsBitmask);
-      const contradictionCreated = this.propagate(y, x, adjacencies);
+      this.waveMatrix[y][x] = Bitmask.AND(this.waveMatrix[y][x], tilePatternsBitmask);
+
+      let contradictionCreated;
+      if (this.waveMatrix[y][x].isEmpty()) {
+        this.contradictionPosition = [y, x];	// an earlier set tile already ruled out every tile asked for here
+        contradictionCreated = true;
+      } else {
+        contradictionCreated = this.propagate(y, x, adjacencies);
+      }
+      this.emitStep({ type: "set", y, x, contradiction: contradictionCreated ? this.contradictionPosition : null });
       if (contradictionCreated) throw new Error("User's set tiles formed a contradiction.");
     }
   }
@@ -127,10 +230,12 @@ export default class ConstraintSolver {
 
     let leastEntropy = Infinity;
     let leastEntropyCellPositions = [];
+    this.numSolvedCells = 0;
 
     for (let y = 0; y < this.waveMatrix.length; y++) {
     for (let x = 0; x < this.waveMatrix[0].length; x++) {
       const entropy = this.getShannonEntropy(this.waveMatrix[y][x], weights);
+      if (entropy === 0) this.numSolvedCells++;
       if (entropy < leastEntropy && entropy > 0) {
         leastEntropy = entropy;
         leastEntropyCellPositions = [[y, x]];
@@ -141,7 +246,7 @@ export default class ConstraintSolver {
     }}
 
     const len = leastEntropyCellPositions.length;
-    if (len > 0) return leastEntropyCellPositions[Math.floor(Math.random() * len)];	// random element (cell position)
+    if (len > 0) return leastEntropyCellPositions[Math.floor(this.random() * len)];	// random element (cell position)
     else return [-1, -1];
   }
 
@@ -173,6 +278,7 @@ export default class ConstraintSolver {
    * @param {number} y The y position/index of the cell.
    * @param {number} x The x position/index of the cell.
    * @param {number[]} weights 
+   * @returns {number} The index of the chosen pattern.
    */
   observe(y, x, weights) {
     // Uses weighted random
@@ -188,15 +294,14 @@ export default class ConstraintSolver {
       totalWeight += w;
     }
 
-    const random = Math.random() * totalWeight;
+    const random = this.random() * totalWeight;
 
     let cursor = 0;
     for (let i = 0; i < possiblePatternWeights.length; i++) {
       cursor += possiblePatternWeights[i];
       if (cursor >= random) {
-        this.waveMatrix[y][x].clear();
-        this.waveMatrix[y][x].setBit(possiblePatterns[i]);
-        return;
+        this.waveMatrix[y][x] = new Bitmask(weights.length).setBit(possiblePatterns[i]);	// replace rather than modify the cell so backtracking can restore the original
+        return possiblePatterns[i];
       }
     }
 
@@ -234,11 +339,18 @@ export default class ConstraintSolver {
         const dir = DIRECTIONS[k];
         const dy = -dir[0];	// need to reverse direction or else output will be upside down
         const dx = -dir[1];	// need to reverse direction or else output will be upside down
-        const y2 = y1+dy;
-        const x2 = x1+dx;
-
-        // Don't go out of bounds
-        if (y2 < 0 || y2 > this.waveMatrix.length-1 || x2 < 0 || x2 > this.waveMatrix[0].length-1) continue;
+        let y2 = y1+dy;
+        let x2 = x1+dx;
+
+        const height = this.waveMatrix.length;
+        const width = this.waveMatrix[0].length;
+        if (this.periodicOutput) {
+          // Wrap around to the opposite edge
+          y2 = (y2 + height) % height;
+          x2 = (x2 + width) % width;
+        } else if (y2 < 0 || y2 > height-1 || x2 < 0 || x2 > width-1) {
+          continue;	// don't go out of bounds
+        }
 
         const cell2_PossiblePatterns_Bitmask = this.waveMatrix[y2][x2];
 
@@ -251,15 +363,60 @@ export default class ConstraintSolver {
         const cell2_NewPossiblePatterns_Bitmask = Bitmask.AND(cell2_PossiblePatterns_Bitmask, cell1_PossibleAdjacentPatterns_Bitmask);
 
         const contradictionCreated = cell2_NewPossiblePatterns_Bitmask.isEmpty();
-        if (contradictionCreated) return true;
+        if (contradictionCreated) {
+          this.contradictionPosition = [y2, x2];
+          return true;
+        }
         
         const cell2Changed = !Bitmask.EQUALS(cell2_PossiblePatterns_Bitmask, cell2_NewPossiblePatterns_Bitmask);
         if (cell2Changed) {
-          this.waveMatrix[y2][x2] = cell2_NewPossiblePatterns_Bitmask;
+          this.setCell(y2, x2, cell2_NewPossiblePatterns_Bitmask);
           queue.enqueue([y2, x2]);
         }
       }
     }
     return false;	// no contradiction created
   }
+
+  /**
+   * Replaces a cell in this.waveMatrix, remembering the cell it replaced if there's an observation to backtrack to.
+   * @param {number} y
+   * @param {number} x
+   * @param {Cell} cell
+   */
+  setCell(y, x, cell) {
+    if (this.decisions.length > 0) this.trail.push([y, x, this.waveMatrix[y][x]]);
+    this.waveMatrix[y][x] = cell;
+  }
+
+  /**
+   * Undoes the most recent observation and rules out the pattern it chose, since that pattern led to a contradiction.
+   * If ruling it out creates a contradiction too, keeps undoing earlier observations until it doesn't or until the backtrack budget is used up.
+   * @param {AdjacentPatternsMap[]} adjacencies
+   * @returns {boolean} Whether backtracking succeeded or not. If not, the attempt has to be restarted.
+   */
+  backtrack(adjacencies) {
+    while (this.decisions.length > 0 && this.numBacktracks < this.backtrackBudget) {
+      const { y, x, pattern, trailLength } = this.decisions.pop();
+      this.numBacktracks++;
+
+      // Restore every cell changed since the observation, including the observed cell
+      while (this.trail.length > trailLength) {
+        const [y1, x1, previousCell] = this.trail.pop();
+        this.waveMatrix[y1][x1] = previousCell;
+      }
+
+      const cell = Bitmask.createCopy(this.waveMatrix[y][x]).unsetBit(pattern);
+      if (cell.isEmpty()) {	// every other pattern was already ruled out, so an earlier observation is to blame
+        this.emitStep({ type: "backtrack", y, x, pattern, contradiction: [y, x] });
+        continue;
+      }
+      this.setCell(y, x, cell);
+
+      const contradictionCreated = this.propagate(y, x, adjacencies);
+      this.emitStep({ type: "backtrack", y, x, pattern, contradiction: contradictionCreated ? this.contradictionPosition : null });
+      if (!contradictionCreated) return true;
+    }
+    return false;
+  }
 }
\ No newline at end of file
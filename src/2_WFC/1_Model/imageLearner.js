@@ -1,7 +1,10 @@
-import DIRECTIONS from "./DIRECTIONS.js";
-import Bitmask from "./Bitmask.js";
+import DIRECTIONS from "./directions.js";
+import Bitmask from "./bitmask.js";
 import PerformanceProfiler from "../../5_Utility/PerformanceProfiler.js";
 
+/** Increase this whenever the format of serialize() changes, so old serialized data (ex: in a cache) is rejected. */
+export const LEARNED_DATA_VERSION = 1;
+
 export default class ImageLearner {
   /**
    * Stores the tiles of every pattern, where element i is the tiles of pattern i.
@@ -27,10 +30,26 @@ export default class ImageLearner {
    */
   tilesToPatterns;
 
+  /**
+   * Which transforms learn() applies to every pattern to get more patterns. Every transform is off by default.
+   * @type {Symmetry}
+   */
+  symmetry = { rotate: false, reflectX: false, reflectY: false };
+
+  /**
+   * How tile IDs map onto each other under each transform. Required if any transform in this.symmetry is on.
+   * @type {TileTransforms | null}
+   */
+  tileTransforms = null;
+
+  /** Whether learn() processes images as periodic (wrapping around at the edges, as if they were tiled) or not. */
+  periodicInput = false;
+
   performanceProfiler = new PerformanceProfiler();
 
   /**
-   * Learns the patterns of one or more images. Doesn't process images as periodic, and doesn't rotate or reflect patterns.
+   * Learns the patterns of one or more images. Only processes images as periodic if this.periodicInput is true.
+   * Also learns the rotated and reflected versions of every pattern that this.symmetry asks for, if its tiles can be transformed.
    * @param {TilemapImage[]} images The images to learn. If you only want to learn one pass an array with a single image in it.
    * @param {number} N The width and height of the patterns.
    * @param {bool} profile Whether to profile the performance of this function or not.
@@ -51,6 +70,42 @@ export default class ImageLearner {
     if (profile) this.performanceProfiler.logData();
   }
 
+  /**
+   * Returns the settings that change what learn() learns from the same images.
+   * @returns {LearnOptions}
+   */
+  getLearnOptions() {
+    return { symmetry: this.symmetry, tileTransforms: this.tileTransforms, periodicInput: this.periodicInput };
+  }
+
+  /**
+   * Returns everything this learned as plain data that can be stored as JSON or sent to a Web Worker.
+   * Pass the result to deserialize() to skip learning the same images again.
+   * @returns {LearnedData}
+   */
+  serialize() {
+    return {
+      version: LEARNED_DATA_VERSION,
+      patterns: this.patterns,
+      weights: this.weights,
+      adjacencies: this.adjacencies.map(adjacentPatternsMap => adjacentPatternsMap.map(bitmask => bitmask.toBase64())),
+      tilesToPatterns: [...this.tilesToPatterns].map(([tileID, bitmask]) => [tileID, bitmask.toBase64()])
+    };
+  }
+
+  /**
+   * Loads data made by serialize(), replacing anything previously learned.
+   * @param {LearnedData} data
+   */
+  deserialize(data) {
+    if (data.version !== LEARNED_DATA_VERSION) throw new Error(`Learned data version ${data.version} is not supported (expected ${LEARNED_DATA_VERSION}).`);
+
+    this.patterns = data.patterns;
+    this.weights = data.weights;
+    this.adjacencies = data.adjacencies.map(adjacentPatternsMap => adjacentPatternsMap.map(str => Bitmask.fromBase64(str)));
+    this.tilesToPatterns = new Map(data.tilesToPatterns.map(([tileID, str]) => [tileID, Bitmask.fromBase64(str)]));
+  }
+
   /**
    * Registers/unregisters important member functions to the performance profiler.
    * @param {bool} value Whether to profile (register) or not (unregister).
@@ -59,12 +114,14 @@ export default class ImageLearner {
     if (value) {
       this.getPatternsAndWeights = this.performanceProfiler.register(this.getPatternsAndWeights, false);
       this.getPattern = this.performanceProfiler.register(this.getPattern, true);
+      this.getPatternVariants = this.performanceProfiler.register(this.getPatternVariants, true);
       this.getAdjacencies = this.performanceProfiler.register(this.getAdjacencies, false);
       this.isAdjacent = this.performanceProfiler.register(this.isAdjacent, true);
       this.getTilesToPatterns = this.performanceProfiler.register(this.getTilesToPatterns, false);
     } else {
       this.getPatternsAndWeights = this.performanceProfiler.unregister(this.getPatternsAndWeights);
       this.getPattern = this.performanceProfiler.unregister(this.getPattern);
+      this.getPatternVariants = this.performanceProfiler.unregister(this.getPatternVariants);
       this.getAdjacencies = this.performanceProfiler.unregister(this.getAdjacencies);
       this.isAdjacent = this.performanceProfiler.unregister(this.isAdjacent);
       this.getTilesToPatterns = this.performanceProfiler.unregister(this.getTilesToPatterns);
@@ -86,18 +143,21 @@ export default class ImageLearner {
     const uniquePatterns = new Map();	// <pattern, index>
 
     for (const image of images) {
-      for (let y = 0; y < image.length-N+1; y++) {	// length-N+1 because we're not processing image as periodic
-      for (let x = 0; x < image[0].length-N+1; x++) {	// length-N+1 because we're not processing image as periodic
-
-        const p = this.getPattern(image, N, y, x);
-        const p_str = p.toString();	// need to convert to string because maps compare arrays using their pointers
-        if (uniquePatterns.has(p_str)) {
-          const i = uniquePatterns.get(p_str);
-          this.weights[i]++;
-        } else {
-          this.patterns.push(p);
-          this.weights.push(1);
-          uniquePatterns.set(p_str, this.patterns.length-1);
+      const height = this.periodicInput ? image.length : image.length-N+1;	// length-N+1 when not processing image as periodic, so windows don't go past the edges
+      const width = this.periodicInput ? image[0].length : image[0].length-N+1;
+      for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+
+        for (const p of this.getPatternVariants(this.getPattern(image, N, y, x))) {
+          const p_str = p.toString();	// need to convert to string because maps compare arrays using their pointers
+          if (uniquePatterns.has(p_str)) {
+            const i = uniquePatterns.get(p_str);
+            this.weights[i]++;
+          } else {
+            this.patterns.push(p);
+            this.weights.push(1);
+            uniquePatterns.set(p_str, this.patterns.length-1);
+          }
         }
       }}
     }
@@ -108,7 +168,7 @@ export default class ImageLearner {
    * @param {number} N the width and height of the learned patterns
    * @param {number} y the y position of the window that captures the pattern
    * @param {number} x the x position of the window that captures the pattern
-   * @returns {Pattern}
+   * @returns {Pattern} If this.periodicInput is true, the parts of the window past the image's edges wrap around to the opposite edges.
    */
   getPattern(image, N, y, x) {
     const pattern = [];
@@ -116,12 +176,63 @@ export default class ImageLearner {
 
     for (let ny = 0; ny < N; ny++) {
     for (let nx = 0; nx < N; nx++) {
-      pattern[ny][nx] = image[y+ny][x+nx];
+      pattern[ny][nx] = image[(y+ny) % image.length][(x+nx) % image[0].length];	// the modulo only matters when processing image as periodic
     }}
 
     return pattern;
   }
 
+  /**
+   * Returns the pattern along with every distinct pattern that this.symmetry's transforms can turn it into (including combinations of them).
+   * @param {Pattern} pattern
+   * @returns {Pattern[]}
+   */
+  getPatternVariants(pattern) {
+    const transforms = Object.keys(this.symmetry).filter(t => this.symmetry[t]);
+    if (transforms.length === 0) return [pattern];
+
+    // Keep transforming the variants found so far until no new ones show up (at most 8, all rotations and reflections)
+    const variants = new Map([[pattern.toString(), pattern]]);
+    const queue = [pattern];
+    while (queue.length > 0) {
+      const p = queue.pop();
+      for (const t of transforms) {
+        const variant = this.transformPattern(p, t);
+        if (!variant) continue;
+        const variant_str = variant.toString();
+        if (variants.has(variant_str)) continue;
+        variants.set(variant_str, variant);
+        queue.push(variant);
+      }
+    }
+    return [...variants.values()];
+  }
+
+  /**
+   * Returns the pattern after a transform, or null if one of its tiles has no counterpart under the transform.
+   * @param {Pattern} pattern
+   * @param {"rotate" | "reflectX" | "reflectY"} transform rotate turns the pattern 90° clockwise.
+   * @returns {Pattern | null}
+   */
+  transformPattern(pattern, transform) {
+    const tileTransform = this.tileTransforms[transform];
+    const N = pattern.length;
+    const result = [];
+    for (let y = 0; y < N; y++) {
+      result[y] = [];
+      for (let x = 0; x < N; x++) {
+        let tileID;
+        if (transform === "rotate") tileID = pattern[N-1-x][y];
+        else if (transform === "reflectX") tileID = pattern[y][N-1-x];
+        else tileID = pattern[N-1-y][x];
+
+        if (!tileTransform.has(tileID)) return null;
+        result[y][x] = tileTransform.get(tileID);
+      }
+    }
+    return result;
+  }
+
   /** Populates this.adjacencies. */
   getAdjacencies() {
     /*
@@ -0,0 +1,109 @@
+import WFCModel from "./wfcModel.js";
+
+/**
+ * A WFCModel that generates several layers of a tilemap together, so they're consistent with each other (ex: a path in one layer lines up with dirt in another).
+ * Every cell holds a tuple of tile IDs (one per layer). Each distinct tuple is learned as a single combined tile, so the overlapping model works unchanged.
+ */
+export default class LayeredModel extends WFCModel {
+  /**
+   * Stores the tile IDs of every combined tile, where element i is the tuple of combined tile i.
+   * @type {number[][]}
+   */
+  tuples = [];
+
+  /**
+   * Maps tuples (as strings, since maps compare arrays using their pointers) to their combined tile IDs.
+   * @type {Map<string, number>}
+   */
+  tupleIDs = new Map();
+
+  /**
+   * Learns the patterns of one or more layered images. Additionally, clears all set tiles.
+   * @param {LayeredImage[]} images The images to learn. Every image must have the same number of layers, in the same order.
+   * @param {number} N The width and height of the patterns.
+   * @param {bool} profile (Default false) Whether to profile the performance of this function or not.
+   */
+  learn(images, N, profile = false) {
+    this.tuples = [];
+    this.tupleIDs = new Map();
+    return super.learn(images.map(image => this.combineLayers(image)), N, profile);
+  }
+
+  /**
+   * Returns everything learn() learned as plain data, including the tuples. See ImageLearner.serialize().
+   * @returns {LearnedData & { tuples: number[][] }}
+   */
+  serialize() {
+    return { ...super.serialize(), tuples: this.tuples };
+  }
+
+  /**
+   * Loads data made by serialize() instead of learning. Additionally, clears all set tiles.
+   * @param {LearnedData & { tuples: number[][] }} data
+   */
+  deserialize(data) {
+    this.tuples = data.tuples;
+    this.tupleIDs = new Map(this.tuples.map((tuple, i) => [tuple.toString(), i]));
+    return super.deserialize(data);
+  }
+
+  /**
+   * Set the tile at (x, y) of a layer to be any of the ids for future generated images. The tile's other layers are left to be generated.
+   * @param {number} x
+   * @param {number} y
+   * @param {number[]} ids
+   * @param {number} layer (Default 0) The index of the layer, in the same order as the learned images' layers.
+   */
+  setTile(x, y, ids, layer = 0) {
+    const combinedIDs = [];
+    for (let i = 0; i < this.tuples.length; i++) {
+      if (ids.includes(this.tuples[i][layer])) combinedIDs.push(i);
+    }
+    if (combinedIDs.length === 0) throw new Error(`ID ${ids} not found in layer ${layer}.`);
+    super.setTile(x, y, combinedIDs);
+  }
+
+  /**
+   * Builds and returns an image for each layer using the learned patterns and solved wave matrix.
+   * @returns {LayeredImage}
+   */
+  generateImage() {
+    return this.splitLayers(super.generateImage());
+  }
+
+  /**
+   * Turns a layered image into a single image of combined tile IDs, learning any new tuples along the way.
+   * @param {LayeredImage} image
+   * @returns {TilemapImage}
+   */
+  combineLayers(image) {
+    const combined = [];
+    for (let y = 0; y < image[0].length; y++) {
+      combined[y] = [];
+      for (let x = 0; x < image[0][0].length; x++) {
+        const tuple = image.map(layer => layer[y][x]);
+        const tuple_str = tuple.toString();
+        if (!this.tupleIDs.has(tuple_str)) {
+          this.tuples.push(tuple);
+          this.tupleIDs.set(tuple_str, this.tuples.length-1);
+        }
+        combined[y][x] = this.tupleIDs.get(tuple_str);
+      }
+    }
+    return combined;
+  }
+
+  /**
+   * Turns an image of combined tile IDs back into a layered image.
+   * @param {TilemapImage} combined
+   * @returns {LayeredImage}
+   */
+  splitLayers(combined) {
+    const numLayers = this.tuples[0].length;
+    const image = [];
+    for (let i = 0; i < numLayers; i++) {
+      image[i] = combined.map(row => row.map(id => this.tuples[id][i]));
+    }
+    return image;
+  }
+}
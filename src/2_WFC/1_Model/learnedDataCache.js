@@ -0,0 +1,74 @@
+/*
+  Caches LearnedData in localStorage so the same images don't have to be learned again on every page load
+  Entries are keyed on a hash of the learned images and options, so changing the images (or N) makes a new entry instead of reusing a stale one
+  Does nothing where localStorage doesn't exist (ex: inside a Web Worker)
+*/
+
+import { LEARNED_DATA_VERSION } from "./imageLearner.js";
+import { hashString } from "../../5_Utility/seededRandom.js";
+
+const KEY_PREFIX = "sketchtiler-wfc-";
+
+/**
+ * Returns the key that the LearnedData of these images and options is cached under.
+ * @param {TilemapImage[]} images
+ * @param {number} N
+ * @param {LearnOptions} options (Default {}) Everything else that changes what's learned.
+ * @returns {string}
+ */
+export function getCacheKey(images, N, options = {}) {
+  const str = JSON.stringify([images, options], (key, value) => value instanceof Map ? [...value] : value);	// maps don't stringify
+  return `${KEY_PREFIX}v${LEARNED_DATA_VERSION}-N${N}-${hashString(str).toString(16)}`;
+}
+
+/**
+ * Returns the LearnedData cached under key, or null if there isn't any.
+ * @param {string} key
+ * @returns {LearnedData | null}
+ */
+export function loadLearnedData(key) {
+  if (!isAvailable()) return null;
+  try {
+    const json = localStorage.getItem(key);
+    return json === null ? null : JSON.parse(json);
+  } catch (error) {
+    console.warn("Couldn't load cached WFC data:", error);
+    return null;
+  }
+}
+
+/**
+ * Caches data under key. If localStorage is full, removes every other cached LearnedData and tries once more.
+ * @param {string} key
+ * @param {LearnedData} data
+ */
+export function saveLearnedData(key, data) {
+  if (!isAvailable()) return;
+  const json = JSON.stringify(data);
+  try {
+    localStorage.setItem(key, json);
+  } catch {
+    clearLearnedData();
+    try {
+      localStorage.setItem(key, json);
+    } catch (error) {
+      console.warn("Couldn't cache WFC data:", error);
+    }
+  }
+}
+
+/** Removes every cached LearnedData. */
+export function clearLearnedData() {
+  if (!isAvailable()) return;
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(KEY_PREFIX)) keys.push(key);
+  }
+  for (const key of keys) localStorage.removeItem(key);
+}
+
+/** @returns {boolean} */
+function isAvailable() {
+  return typeof localStorage !== "undefined";
+}
@@ -0,0 +1,117 @@
+import ImageLearner from "./imageLearner.js";
+import DIRECTIONS from "./directions.js";
+import Bitmask from "./bitmask.js";
+
+const DIRECTION_NAMES = ["up", "down", "left", "right"];	// parallel with DIRECTIONS
+const OPPOSITE_DIRECTION_INDICES = [1, 0, 3, 2];	// input direction index k to get opposite direction index
+
+/**
+ * Learns the data of the simple tiled model, where every pattern is a single tile.
+ * Unlike ImageLearner, which finds adjacencies from overlapping NxN patterns, adjacencies come from rules declared per tile (see learnRules()),
+ * or from which tiles are next to each other in images (see learn()).
+ * The learned data is the same shape as ImageLearner's, so ConstraintSolver, setTile() and serialize() work the same way.
+ * Doesn't rotate or reflect tiles.
+ */
+export default class RuleLearner extends ImageLearner {
+  /**
+   * Learns tiles and their adjacencies from rules.
+   * A tile can be next to another if either of their rules declares it as a neighbor in that direction, or if their sockets on the facing sides match.
+   * @param {TileRule[]} rules
+   */
+  learnRules(rules) {
+    this.initialize(rules.map(rule => rule.id), rules.map(rule => rule.weight ?? 1));
+
+    for (let a = 0; a < rules.length; a++) {
+    for (let k = 0; k < DIRECTIONS.length; k++) {
+      const neighbors = rules[a].neighbors?.[DIRECTION_NAMES[k]] ?? [];
+      for (const id of neighbors) {
+        const b = this.patterns.findIndex(pattern => pattern[0][0] === id);
+        if (b === -1) throw new Error(`Tile ${rules[a].id} declares tile ${id} as a neighbor, but tile ${id} has no rule.`);
+        this.allow(a, b, k);
+      }
+
+      if (!rules[a].sockets) continue;
+      const o = OPPOSITE_DIRECTION_INDICES[k];
+      for (let b = 0; b < rules.length; b++) {
+        if (rules[b].sockets && rules[a].sockets[k] === rules[b].sockets[o]) this.allow(a, b, k);
+      }
+    }}
+
+    this.getTilesToPatterns();
+  }
+
+  /**
+   * Learns tiles and their adjacencies from images: tiles are allowed next to each other (in a direction) if they're next to each other in any image.
+   * Each tile's weight is how often it appears.
+   * @param {TilemapImage[]} images The images to learn. If you only want to learn one pass an array with a single image in it.
+   * @param {number} N Ignored, since every pattern is a single tile. Exists so this has the same signature as ImageLearner.learn().
+   * @param {bool} profile Whether to profile the performance of this function or not.
+   */
+  learn(images, N, profile) {
+    this.performanceProfiler.clearData();
+    this.profileFunctions(profile);
+
+    const tileIndices = new Map();	// <tile ID, pattern index>
+    const weights = [];
+    for (const image of images) {
+    for (const row of image) {
+    for (const tileID of row) {
+      if (!tileIndices.has(tileID)) {
+        tileIndices.set(tileID, weights.length);
+        weights.push(0);
+      }
+      weights[tileIndices.get(tileID)]++;
+    }}}
+    this.initialize([...tileIndices.keys()], weights);
+
+    const down = 1;
+    const right = 3;
+    for (const image of images) {
+      const height = this.periodicInput ? image.length : image.length-1;	// length-1 when not processing image as periodic, so the last row/column isn't compared with anything
+      const width = this.periodicInput ? image[0].length : image[0].length-1;
+      for (let y = 0; y < image.length; y++) {
+      for (let x = 0; x < image[0].length; x++) {
+        const a = tileIndices.get(image[y][x]);
+        if (y < height) this.allow(a, tileIndices.get(image[(y+1) % image.length][x]), down);
+        if (x < width) this.allow(a, tileIndices.get(image[y][(x+1) % image[0].length]), right);
+      }}
+    }
+
+    this.getTilesToPatterns();
+
+    if (profile) this.performanceProfiler.logData();
+  }
+
+  /**
+   * Returns the settings that change what learn() learns from the same images.
+   * @returns {LearnOptions}
+   */
+  getLearnOptions() {
+    return { periodicInput: this.periodicInput, simpleTiled: true };	// so the cache never mixes this up with an ImageLearner's data
+  }
+
+  /**
+   * Resets the learned data to have one pattern per tile and no adjacencies.
+   * @param {number[]} tileIDs
+   * @param {number[]} weights Parallel with tileIDs.
+   */
+  initialize(tileIDs, weights) {
+    this.patterns = tileIDs.map(id => [[id]]);
+    this.weights = weights;
+    this.adjacencies = this.patterns.map(() => DIRECTIONS.map(() => new Bitmask(this.patterns.length)));
+    this.tilesToPatterns = new Map();
+  }
+
+  /**
+   * Allows pattern b to be to the {direction k} of pattern a (which also allows a to be to the {opposite direction} of b).
+   * @param {number} a
+   * @param {number} b
+   * @param {number} k The index of the direction in DIRECTIONS.
+   */
+  allow(a, b, k) {
+    // this.adjacencies[i][k] stores the patterns that i can be to the {direction k} of, which is how ImageLearner.getAdjacencies() fills it
+    const o = OPPOSITE_DIRECTION_INDICES[k];
+    this.adjacencies[a][o].setBit(b);
+    this.adjacencies[b][k].setBit(a);
+  }
+}
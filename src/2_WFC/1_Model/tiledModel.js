@@ -0,0 +1,25 @@
+import WFCModel from "./wfcModel.js";
+import RuleLearner from "./ruleLearner.js";
+
+/**
+ * A WFCModel that uses the simple tiled model instead of the overlapping model.
+ * Every pattern is a single tile, and which tiles can be next to each other is either declared with rules or sampled from images.
+ * Useful for small structures (ex: fences) where drawing enough training maps for the overlapping model isn't worth it.
+ * learn() samples adjacencies from images (see RuleLearner.learn()) and ignores N, since every pattern is a single tile.
+ * Doesn't support setSymmetry().
+ */
+export default class TiledModel extends WFCModel {
+  /** Learns the same kind of data as ImageLearner, so the rest of WFCModel (and ConstraintSolver) works unchanged. */
+  imageLearner = new RuleLearner();
+
+  /**
+   * Learns tiles and their adjacencies from rules. See RuleLearner.learnRules().
+   * Additionally, clears all set tiles.
+   * @param {TileRule[]} rules
+   */
+  learnRules(rules) {
+    this.imageLearner.learnRules(rules);
+    this.clearSetTiles();
+    return this;
+  }
+}
@@ -1,6 +1,8 @@
-import ImageLearner from "./ImageLearner.js";
-import ConstraintSolver from "./ConstraintSolver.js";
-import Bitmask from "./Bitmask.js";
+import ImageLearner from "./imageLearner.js";
+import ConstraintSolver from "./constraintSolver.js";
+import Bitmask from "./bitmask.js";
+import createSeededRandom from "../../5_Utility/seededRandom.js";
+import { getCacheKey, loadLearnedData, saveLearnedData } from "./learnedDataCache.js";
 
 export default class WFCModel {
   imageLearner = new ImageLearner();
@@ -12,20 +14,102 @@ export default class WFCModel {
    */
   setTilesInstructions = [];
 
+  /** Whether learn() reuses (and stores) learned data in localStorage or not. */
+  useCache = true;
+
+  /** The tile that the cells outside of generate()'s mask become. -1 is the empty tile of the training maps. */
+  outsideTileID = -1;
+
   /**
    * Learns the patterns of one or more images.
-   * Doesn't process images as periodic, and doesn't rotate or reflect patterns.
+   * Only processes images as periodic if setPeriodic() was used, and only rotates or reflects patterns if setSymmetry() was used.
+   * If the same images were learned before (even on a previous page load), loads the cached result instead. Profiling always learns.
    * Additionally, clears all set tiles.
    * @param {TilemapImage[]} images The images to learn. If you only want to learn one pass an array with a single image in it.
    * @param {number} N The width and height of the patterns.
    * @param {bool} profile (Default false) Whether to profile the performance of this function or not.
    */
   learn(images, N, profile = false) {
-    this.imageLearner.learn(images, N, profile);
+    const key = this.useCache && !profile ? getCacheKey(images, N, this.imageLearner.getLearnOptions()) : null;
+    const cached = key ? loadLearnedData(key) : null;
+    if (cached) {
+      this.imageLearner.deserialize(cached);
+    } else {
+      this.imageLearner.learn(images, N, profile);
+      if (key) saveLearnedData(key, this.imageLearner.serialize());
+    }
     this.clearSetTiles();
     return this;
   }
 
+  /**
+   * Makes future calls to learn() also learn rotated and/or reflected versions of every pattern, so the output can contain layouts that aren't in the images.
+   * Only patterns whose tiles all have a counterpart in tileTransforms are transformed.
+   * @param {Symmetry} symmetry Which transforms to apply. Transforms that are left out are off.
+   * @param {TileTransforms} tileTransforms How tile IDs map onto each other under each transform (ex: a left fence end becomes a right fence end when reflected).
+   */
+  setSymmetry(symmetry, tileTransforms) {
+    this.imageLearner.symmetry = { rotate: false, reflectX: false, reflectY: false, ...symmetry };
+    this.imageLearner.tileTransforms = tileTransforms;
+    return this;
+  }
+
+  /**
+   * @param {bool} periodicInput Whether future calls to learn() treat images as tileable, learning the patterns that wrap around their edges too.
+   * @param {bool} periodicOutput Whether generated images wrap around at their edges, so they can be tiled seamlessly (ex: for looping backgrounds).
+   */
+  setPeriodic(periodicInput, periodicOutput) {
+    this.imageLearner.periodicInput = periodicInput;
+    this.constraintSolver.periodicOutput = periodicOutput;
+    return this;
+  }
+
+  /**
+   * Turns caching of learned data on or off. See learn().
+   * @param {bool} value
+   */
+  setCaching(value) {
+    this.useCache = value;
+    return this;
+  }
+
+  /**
+   * Returns everything learn() learned as plain data. See ImageLearner.serialize().
+   * @returns {LearnedData}
+   */
+  serialize() {
+    return this.imageLearner.serialize();
+  }
+
+  /**
+   * Loads data made by serialize() instead of learning. Additionally, clears all set tiles.
+   * @param {LearnedData} data
+   */
+  deserialize(data) {
+    this.imageLearner.deserialize(data);
+    this.clearSetTiles();
+    return this;
+  }
+
+  /**
+   * Makes generate() backtrack (undo its most recent decisions) when it creates a contradiction, instead of starting the attempt over.
+   * Large maps with many set tiles contradict often, so backtracking makes them much more likely to be solved within maxAttempts.
+   * @param {number} budget How many times each attempt can backtrack before restarting. 0 disables backtracking.
+   */
+  setBacktrackBudget(budget) {
+    this.constraintSolver.backtrackBudget = budget;
+    return this;
+  }
+
+  /**
+   * Changes the tile that the cells outside of generate()'s mask become (ex: a border tile instead of an empty one).
+   * @param {number} tileID Must be a learned tile, since the cells around the mask have to fit next to it.
+   */
+  setOutsideTile(tileID) {
+    this.outsideTileID = tileID;
+    return this;
+  }
+
   /**
    * Set the tile at (x, y) to be any of the ids for future generated images.
    * @param {number} x
@@ -33,13 +117,24 @@ export default class WFCModel {
    * @param {number[]} ids
    */
   setTile(x, y, ids) {
+    this.setTilesInstructions.push(this.getSetTileInstruction(x, y, ids));
+  }
+
+  /**
+   * Returns the instruction that makes the tile at (x, y) any of the ids.
+   * @param {number} x
+   * @param {number} y
+   * @param {number[]} ids
+   * @returns {SetTileInstruction}
+   */
+  getSetTileInstruction(x, y, ids) {
     const combinedTilePatternsBitmask = new Bitmask(this.imageLearner.patterns.length);
     for (const id of ids) {
       if (!this.imageLearner.tilesToPatterns.has(id)) throw new Error(`ID ${id} not found in patterns.`);
       const tilePatternsBitmask = this.imageLearner.tilesToPatterns.get(id);
       combinedTilePatternsBitmask.mergeWith(tilePatternsBitmask);
     }
-    this.setTilesInstructions.push([y, x, combinedTilePatternsBitmask]);
+    return [y, x, combinedTilePatternsBitmask];
   }
 
   /** Clear all tiles previously set. */
@@ -54,13 +149,57 @@ export default class WFCModel {
    * @param {number} maxAttempts (Default 10)
    * @param {bool} logProgress (Default true) Whether to log the progress of this function or not.
    * @param {bool} profile (Default false) Whether to profile the performance of this function or not.
+   * @param {number | null} seed (Default null) The same seed (along with the same learned images and set tiles) always generates the same image. Pass null to generate a different image every time.
+   * @param {TileWeights | null} tileWeights (Default null) Makes some tiles more or less common in this image. See getWeights().
+   * @param {boolean[][] | null} mask (Default null) Which cells to generate, where mask[y][x] is true for active cells. Must be height by width.
+   *    Inactive cells become the outside tile (see setOutsideTile()), so the active cells are generated as a non-rectangular area (ex: a circle) that fits against it.
+   *    Pass null to generate every cell.
    * @returns {TilemapImage | null}
    */
-  generate(width, height, maxAttempts = 10, logProgress = true, profile = false) {
-    const success = this.constraintSolver.solve(this.imageLearner.weights, this.imageLearner.adjacencies, this.setTilesInstructions, width, height, maxAttempts, logProgress, profile);
+  generate(width, height, maxAttempts = 10, logProgress = true, profile = false, seed = null, tileWeights = null, mask = null) {
+    this.constraintSolver.random = seed === null ? Math.random : createSeededRandom(seed);
+    const setTilesInstructions = mask ? [...this.setTilesInstructions, ...this.getMaskInstructions(mask, width, height)] : this.setTilesInstructions;
+    const success = this.constraintSolver.solve(this.getWeights(tileWeights), this.imageLearner.adjacencies, setTilesInstructions, width, height, maxAttempts, logProgress, profile);
     return success ? this.generateImage() : null;
   }
 
+  /**
+   * Returns the instructions that set every inactive cell of a mask to the outside tile. Unlike setTile(), they only last for one call to generate().
+   * @param {boolean[][]} mask
+   * @param {number} width
+   * @param {number} height
+   * @returns {SetTileInstruction[]}
+   */
+  getMaskInstructions(mask, width, height) {
+    if (mask.length !== height || mask.some(row => row.length !== width)) throw new Error(`The mask must be ${height} by ${width}.`);
+
+    const instructions = [];
+    for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y][x]) instructions.push(this.getSetTileInstruction(x, y, [this.outsideTileID]));
+    }}
+    return instructions;
+  }
+
+  /**
+   * Returns the learned pattern weights, with the weight of every pattern whose top left tile is in tileWeights multiplied by that tile's multiplier.
+   * Since each cell of a generated image becomes the top left tile of its pattern, a multiplier of 2 makes that tile roughly twice as likely to be picked.
+   * @param {TileWeights | null} tileWeights Tiles that weren't learned are ignored.
+   * @returns {number[]}
+   */
+  getWeights(tileWeights) {
+    if (!tileWeights || tileWeights.size === 0) return this.imageLearner.weights;
+
+    const weights = [...this.imageLearner.weights];
+    for (const [tileID, multiplier] of tileWeights) {
+      if (!(multiplier > 0)) throw new Error(`The weight multiplier of tile ${tileID} must be greater than 0.`);	// a weight of 0 breaks the entropy calculation
+      const tilePatternsBitmask = this.imageLearner.tilesToPatterns.get(tileID);
+      if (!tilePatternsBitmask) continue;
+      for (const i of tilePatternsBitmask.toArray()) weights[i] *= multiplier;
+    }
+    return weights;
+  }
+
   /**
    * Builds and returns an image using the learned patterns and solved wave matrix.
    * @returns {TilemapImage}
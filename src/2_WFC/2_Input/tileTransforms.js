@@ -0,0 +1,76 @@
+/*
+  Describes how the tiles of kenney-tiny-town map onto each other when a pattern is rotated or reflected
+  Used by ImageLearner's symmetry option (see WFCModel.setSymmetry())
+
+  A tile missing from a transform has no counterpart under it (ex: trees can't be rotated), so patterns containing that tile are never transformed that way
+  Grass and cobblestone look about the same in every orientation, so they map to themselves
+*/
+
+const EMPTY = -1;
+const GRASS = [1, 2, 3];
+const COBBLESTONE = 44;
+
+/**
+ * Builds a transform from cycles of tile IDs, where each tile maps to the next one in its cycle (and the last maps to the first).
+ * A cycle of one tile maps it to itself, and a cycle of two tiles swaps them.
+ * @param {number[][]} cycles
+ * @returns {Map<number, number>}
+ */
+function fromCycles(cycles) {
+  const transform = new Map();
+  for (const cycle of cycles) {
+    for (let i = 0; i < cycle.length; i++) transform.set(cycle[i], cycle[(i+1) % cycle.length]);
+  }
+  return transform;
+}
+
+const SELF_SYMMETRIC = [[EMPTY], ...GRASS.map(id => [id]), [COBBLESTONE]];
+
+/** @type {TileTransforms} */
+const TILE_TRANSFORMS = {
+  // 90° clockwise
+  rotate: fromCycles([
+    ...SELF_SYMMETRIC,
+
+    // dirt
+    [13, 15, 39, 37], [14, 27, 38, 25], [26],
+
+    // fences
+    [45, 47, 71, 69], [46, 59, 70, 57], [81, 48, 83, 72], [82, 60]
+  ]),
+
+  // mirror left <-> right
+  reflectX: fromCycles([
+    ...SELF_SYMMETRIC,
+
+    // dirt
+    [13, 15], [25, 27], [37, 39], [14], [26], [38],
+    [40, 43], [41, 42],
+
+    // single tile trees and bushes
+    [4], [5], [6], [16], [17], [28], [29],
+
+    // fences
+    [45, 47], [57, 59], [69, 71], [81, 83], [46], [48], [60], [70], [72], [82],
+
+    // roofs
+    [49, 51], [61, 63], [50], [52], [62], [64],
+    [53, 55], [65, 67], [54], [56], [66], [68],
+
+    // walls, doors and windows
+    [73, 76], [74], [75], [77, 80], [78], [79],
+    [87, 88], [91, 92], [85], [86], [89], [90]
+  ]),
+
+  // mirror top <-> bottom
+  reflectY: fromCycles([
+    ...SELF_SYMMETRIC,
+
+    // dirt
+    [13, 37], [14, 38], [15, 39], [25], [26], [27],
+
+    // fences
+    [45, 69], [46, 70], [47, 71], [48, 72], [57], [59], [60], [81], [82], [83]
+  ])
+};
+export default TILE_TRANSFORMS;
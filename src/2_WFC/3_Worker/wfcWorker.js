@@ -0,0 +1,101 @@
+/*
+  Runs a WFCModel inside a Web Worker so learning and generating don't freeze the page
+  Don't use this file directly, use WFCWorkerModel instead
+
+  Every message received is a request: { id: number, type: string, args: any[] }
+  Every request is answered with one "done" or "error" message, and generate requests also send "progress" messages before that
+*/
+
+import WFCModel from "../1_Model/wfcModel.js";
+import LayeredModel from "../1_Model/layeredModel.js";
+import TiledModel from "../1_Model/tiledModel.js";
+
+const MODEL_TYPES = { WFCModel, LayeredModel, TiledModel };
+
+let model = new WFCModel();
+
+self.onmessage = (e) => {
+  const { id, type, args } = e.data;
+  try {
+    const result = handleRequest(id, type, args);
+    self.postMessage({ id, type: "done", result });
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error.message });
+  }
+};
+
+/**
+ * @param {number} id
+ * @param {string} type
+ * @param {any[]} args
+ * @returns {any} Sent back to WFCWorkerModel.
+ */
+function handleRequest(id, type, args) {
+  switch (type) {
+    case "setModelType": {
+      const [modelType] = args;
+      if (!MODEL_TYPES[modelType]) throw new Error(`Unknown model type "${modelType}".`);
+      model = new MODEL_TYPES[modelType]();
+      return null;
+    }
+    case "learn": {
+      const [images, N, profile] = args;
+      model.learn(images, N, profile);
+      return model.serialize();	// so WFCWorkerModel can cache it (workers can't use localStorage)
+    }
+    case "learnRules": {
+      const [rules] = args;
+      if (!(model instanceof TiledModel)) throw new Error("Only TiledModel can learn rules.");
+      model.learnRules(rules);
+      return null;
+    }
+    case "deserialize": {
+      const [data] = args;
+      model.deserialize(data);
+      return null;
+    }
+    case "setSymmetry": {
+      const [symmetry, tileTransforms] = args;
+      model.setSymmetry(symmetry, tileTransforms);
+      return null;
+    }
+    case "setPeriodic": {
+      const [periodicInput, periodicOutput] = args;
+      model.setPeriodic(periodicInput, periodicOutput);
+      return null;
+    }
+    case "setBacktrackBudget": {
+      const [budget] = args;
+      model.setBacktrackBudget(budget);
+      return null;
+    }
+    case "setOutsideTile": {
+      const [tileID] = args;
+      model.setOutsideTile(tileID);
+      return null;
+    }
+    case "generate": {
+      const [width, height, maxAttempts, logProgress, profile, seed, tileWeights, mask, setTiles] = args;
+
+      model.clearSetTiles();
+      for (const [x, y, ids, layer] of setTiles) model.setTile(x, y, ids, layer);
+
+      // Only report progress when the percentage changes, so the page isn't flooded with messages
+      let lastPercent = -1;
+      model.constraintSolver.onProgress = (progress) => {
+        const percent = Math.floor(100 * progress.solvedCells / progress.totalCells);
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+        self.postMessage({ id, type: "progress", progress });
+      };
+
+      try {
+        return model.generate(width, height, maxAttempts, logProgress, profile, seed, tileWeights, mask);
+      } finally {
+        model.constraintSolver.onProgress = null;
+      }
+    }
+    default:
+      throw new Error(`Unknown request type "${type}".`);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,264 @@
+import { getCacheKey, loadLearnedData, saveLearnedData } from "../1_Model/learnedDataCache.js";
+
+const LEARN_REQUESTS = ["learn", "learnRules", "deserialize"];	// the setup requests that replace what the model learned
+
+/**
+ * Has the same interface as WFCModel, except learning and generating happen inside a Web Worker and return promises.
+ * This keeps the page responsive while generating, and lets a long generation be cancelled.
+ */
+export default class WFCWorkerModel {
+  /** @type {Worker | null} */
+  worker = null;
+
+  /** The name of the model class the worker uses. */
+  modelType;
+
+  /**
+   * The requests that configure the model (learning and settings), in order.
+   * They're sent again whenever the worker is replaced after a cancel().
+   * @type {{ type: string, args: any[] }[]}
+   */
+  setupRequests = [];
+
+  /**
+   * Stores the user's usage of setTile(). Sent along with every generate request.
+   * @type {[x: number, y: number, ids: number[], layer: number][]}
+   */
+  setTilesInstructions = [];
+
+  /**
+   * The requests that haven't been answered yet.
+   * @type {Map<number, { resolve: Function, reject: Function, onProgress: ((progress: SolverProgress) => void) | null }>}
+   */
+  pendingRequests = new Map();
+
+  nextRequestID = 0;
+
+  /** @param {"WFCModel" | "LayeredModel" | "TiledModel"} modelType (Default "WFCModel") Which model the worker uses. */
+  constructor(modelType = "WFCModel") {
+    this.modelType = modelType;
+    if (modelType !== "WFCModel") this.setup("setModelType", [modelType]);
+  }
+
+  /**
+   * Mirrors the worker model's learning settings, since they're part of the cache key of learned data.
+   * @type {LearnOptions}
+   */
+  learnOptions = { symmetry: { rotate: false, reflectX: false, reflectY: false }, tileTransforms: null, periodicInput: false };
+
+  /**
+   * Learns the patterns of one or more images. Additionally, clears all set tiles.
+   * Learned data is cached the same way as WFCModel.learn(), and once learning is done a new worker (after a cancel()) loads it instead of learning again.
+   * @param {TilemapImage[]} images The images to learn. If you only want to learn one pass an array with a single image in it.
+   * @param {number} N The width and height of the patterns.
+   * @param {bool} profile (Default false) Whether to profile the performance of learning or not.
+   * @returns {Promise<void>} Resolves once learning is finished. Other requests can be made before then, they'll wait for learning.
+   */
+  learn(images, N, profile = false) {
+    this.setupRequests = this.setupRequests.filter(r => !LEARN_REQUESTS.includes(r.type));	// only the latest learning matters
+    this.clearSetTiles();
+
+    const key = profile ? null : getCacheKey(images, N, { ...this.learnOptions, modelType: this.modelType });
+    const cached = key ? loadLearnedData(key) : null;
+    if (cached) return this.deserialize(cached);
+
+    const setupRequest = { type: "learn", args: [images, N, profile] };
+    const learned = this.request("learn", setupRequest.args).then((data) => {
+      if (key) saveLearnedData(key, data);
+
+      // Replace the learn request so new workers skip learning, unless something else was learned since
+      const i = this.setupRequests.indexOf(setupRequest);
+      if (i !== -1) this.setupRequests[i] = { type: "deserialize", args: [data] };
+    });
+    learned.catch(() => {});	// callers don't have to wait for learning, so don't report a cancel() as an unhandled error
+    this.setupRequests.push(setupRequest);	// after the request so a new worker doesn't learn twice
+    return learned;
+  }
+
+  /**
+   * See TiledModel.learnRules(). Only works if the worker uses a TiledModel. Additionally, clears all set tiles.
+   * @param {TileRule[]} rules
+   * @returns {Promise<void>} Resolves once learning is finished.
+   */
+  learnRules(rules) {
+    this.setupRequests = this.setupRequests.filter(r => !LEARN_REQUESTS.includes(r.type));
+    this.clearSetTiles();
+
+    const learned = this.request("learnRules", [rules]);
+    learned.catch(() => {});
+    this.setupRequests.push({ type: "learnRules", args: [rules] });
+    return learned;
+  }
+
+  /**
+   * Loads data made by WFCModel.serialize() instead of learning. Additionally, clears all set tiles.
+   * @param {LearnedData} data
+   * @returns {Promise<void>} Resolves once the data is loaded.
+   */
+  deserialize(data) {
+    this.setupRequests = this.setupRequests.filter(r => !LEARN_REQUESTS.includes(r.type));
+    this.clearSetTiles();
+
+    const loaded = this.request("deserialize", [data]);
+    loaded.catch(() => {});
+    this.setupRequests.push({ type: "deserialize", args: [data] });
+    return loaded;
+  }
+
+  /**
+   * See WFCModel.setSymmetry().
+   * @param {Symmetry} symmetry
+   * @param {TileTransforms} tileTransforms
+   */
+  setSymmetry(symmetry, tileTransforms) {
+    this.learnOptions = { ...this.learnOptions, symmetry: { rotate: false, reflectX: false, reflectY: false, ...symmetry }, tileTransforms };
+    return this.setup("setSymmetry", [symmetry, tileTransforms]);
+  }
+
+  /**
+   * See WFCModel.setPeriodic().
+   * @param {bool} periodicInput
+   * @param {bool} periodicOutput
+   */
+  setPeriodic(periodicInput, periodicOutput) {
+    this.learnOptions = { ...this.learnOptions, periodicInput };
+    return this.setup("setPeriodic", [periodicInput, periodicOutput]);
+  }
+
+  /**
+   * See WFCModel.setBacktrackBudget().
+   * @param {number} budget
+   */
+  setBacktrackBudget(budget) {
+    return this.setup("setBacktrackBudget", [budget]);
+  }
+
+  /**
+   * See WFCModel.setOutsideTile().
+   * @param {number} tileID
+   */
+  setOutsideTile(tileID) {
+    return this.setup("setOutsideTile", [tileID]);
+  }
+
+  /**
+   * Sends a request that changes a setting, and remembers it so the next worker gets the same setting.
+   * @param {string} type
+   * @param {any[]} args
+   */
+  setup(type, args) {
+    this.request(type, args).catch(() => {});	// the setting is sent again to the next worker anyway
+    this.setupRequests.push({ type, args });
+    return this;
+  }
+
+  /**
+   * Set the tile at (x, y) to be any of the ids for future generated images.
+   * Unlike WFCModel.setTile(), unknown ids are only reported when generate() is called.
+   * @param {number} x
+   * @param {number} y
+   * @param {number[]} ids
+   * @param {number} layer (Default 0) Only used by LayeredModel. See LayeredModel.setTile().
+   */
+  setTile(x, y, ids, layer = 0) {
+    this.setTilesInstructions.push([x, y, ids, layer]);
+  }
+
+  /** Clear all tiles previously set. */
+  clearSetTiles() {
+    this.setTilesInstructions = [];
+  }
+
+  /**
+   * Attempts to generate an image based on previously learned pattern data. Resolves to null if unsuccessful.
+   * Rejects with an AbortError if cancel() is called before generation finishes.
+   * @param {number} width The width of the output image.
+   * @param {number} height The height of the output image.
+   * @param {number} maxAttempts (Default 10)
+   * @param {bool} logProgress (Default true) Whether to log the progress of generation or not (in the worker's console).
+   * @param {bool} profile (Default false) Whether to profile the performance of generation or not.
+   * @param {number | null} seed (Default null) See WFCModel.generate().
+   * @param {TileWeights | null} tileWeights (Default null) See WFCModel.generate().
+   * @param {boolean[][] | null} mask (Default null) See WFCModel.generate().
+   * @param {((progress: SolverProgress) => void) | null} onProgress (Default null) Called whenever the percentage of solved cells goes up.
+   * @returns {Promise<TilemapImage | null>}
+   */
+  generate(width, height, maxAttempts = 10, logProgress = true, profile = false, seed = null, tileWeights = null, mask = null, onProgress = null) {
+    return this.request("generate", [width, height, maxAttempts, logProgress, profile, seed, tileWeights, mask, this.setTilesInstructions], onProgress);
+  }
+
+  /**
+   * Stops whatever the worker is doing and rejects every pending request with an AbortError.
+   * The model stays usable: the next request starts a new worker, which is set up the same way first.
+   */
+  cancel() {
+    this.stopWorker(new DOMException("Generation was cancelled.", "AbortError"));
+  }
+
+  /**
+   * Terminates the worker and rejects every pending request with the error, since the worker won't answer them anymore.
+   * The next request starts a new worker.
+   * @param {Error} error
+   */
+  stopWorker(error) {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+
+    for (const { reject } of this.pendingRequests.values()) reject(error);
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Sends a request to the worker, starting a new worker if there isn't one.
+   * @param {string} type
+   * @param {any[]} args
+   * @param {((progress: SolverProgress) => void) | null} onProgress
+   * @returns {Promise<any>} Resolves to the worker's result.
+   */
+  request(type, args, onProgress = null) {
+    if (!this.worker) this.startWorker();
+
+    const id = this.nextRequestID++;
+    this.worker.postMessage({ id, type, args });
+    return new Promise((resolve, reject) => this.pendingRequests.set(id, { resolve, reject, onProgress }));
+  }
+
+  /** Starts a new worker and configures it the same way as the last one. */
+  startWorker() {
+    this.worker = new Worker(new URL("./wfcWorker.js", import.meta.url), { type: "module" });
+    this.worker.onmessage = (e) => this.handleMessage(e.data);
+
+    // A worker that crashed (ex: it failed to load) or sent a reply that can't be read won't answer its pending requests, so replace it
+    this.worker.onerror = (e) => {
+      e.preventDefault();	// it's reported through the rejected requests instead
+      this.stopWorker(new Error(`The WFC worker crashed: ${e.message ?? "it failed to load"}`));
+    };
+    this.worker.onmessageerror = () => this.stopWorker(new Error("The WFC worker sent a reply that couldn't be read."));
+
+    // Set up the new worker without tracking the replies
+    for (const { type, args } of this.setupRequests) {
+      this.worker.postMessage({ id: -1, type, args });
+    }
+  }
+
+  /**
+   * @param {{ id: number, type: string, result?: any, message?: string, progress?: SolverProgress }} message
+   */
+  handleMessage({ id, type, result, message, progress }) {
+    // Setup requests aren't tracked, but their errors (ex: learning failed) would otherwise go unnoticed
+    if (id === -1 && type === "error") console.error(`Setting up the WFC worker failed: ${message}`);
+
+    const request = this.pendingRequests.get(id);
+    if (!request) return;	// a setup request, or a request from before a cancel()
+
+    if (type === "progress") {
+      if (request.onProgress) request.onProgress(progress);
+      return;
+    }
+
+    this.pendingRequests.delete(id);
+    if (type === "done") request.resolve(result);
+    else request.reject(new Error(message));
+  }
+}
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * Fills in the gaps of a trace so each cell is directly above, below, left, or right of the cell before it.
+ * Stroke points are sampled at the speed the mouse moves, so consecutive cells of a trace can be far apart or diagonal from each other.
+ * @param {Point[]} trace Cells in tilemap coordinates, in the order they were drawn.
+ * @param {boolean} closed (Default false) Whether to also connect the last cell back to the first.
+ * @returns {Point[]} The connected cells, in order. A cell appears more than once if the trace crosses itself.
+ */
+export default function connectTrace(trace, closed = false) {
+  if (trace.length === 0) return [];
+
+  const result = [{ x: trace[0].x, y: trace[0].y }];
+  const end = closed ? trace.length : trace.length-1;
+
+  for (let i = 0; i < end; i++) {
+    let { x, y } = trace[i];
+    const target = trace[(i+1) % trace.length];
+
+    // Step one cell at a time along whichever axis has further to go
+    while (x !== target.x || y !== target.y) {
+      if (Math.abs(target.x - x) >= Math.abs(target.y - y)) x += Math.sign(target.x - x);
+      else y += Math.sign(target.y - y);
+      result.push({ x, y });
+    }
+  }
+
+  return result;
+}
\ No newline at end of file
@@ -0,0 +1,113 @@
+import TILEMAP from "../4_Phaser/tilemap.js";
+import connectTrace from "./connectTrace.js";
+import { isClosed } from "../1_Sketchpad/shapeDetection.js";
+
+const CLOSED_THRESHOLD = 60 / TILEMAP.TILE_WIDTH;	// the same distance shapeDetection uses, converted from pixels to tiles
+
+// Bits for which neighbors a fence tile connects to
+const UP = 1, DOWN = 2, LEFT = 4, RIGHT = 8;
+
+/*
+  Fence tiles, where element i is the tile for a fence that connects to the neighbors in bitmask i
+  The tileset has no T-junction or crossing tiles, so those use the closest straight piece
+  The capped vertical ends (48 and 72) never appear in the training maps, so fences are kept clear in the map suggestions (see structures.js)
+*/
+const FENCE_TILES = [
+  60, // none
+  60, // up
+  60, // down
+  60, // up, down
+  83, // left
+  71, // up, left
+  47, // down, left
+  59, // up, down, left
+  81, // right
+  69, // up, right
+  45, // down, right
+  57, // up, down, right
+  82, // left, right
+  70, // up, left, right
+  46, // down, left, right
+  46  // up, down, left, right
+];
+
+/**
+ * Turns a trace into a fence that follows the stroke, with corner and end tiles where the fence turns or stops.
+ * If the stroke is closed, the fence is closed into a loop.
+ * @param {Point[]} trace The cells the stroke passes through, in tilemap coordinates and in the order they were drawn.
+ * @param {boolean} addGate (Default true) Whether to leave a gap in the bottom side of a closed fence so the yard can be entered.
+ * @returns {TilePlacement[]}
+ */
+export default function generateFence(trace, addGate = true) {
+  const closed = trace.length > 2 && isClosed(trace, CLOSED_THRESHOLD);
+  const cells = connectTrace(trace, closed);
+
+  // Connect each cell to the cells drawn right before and after it (not just any neighbor, so parallel fences stay separate)
+  const connections = new Map();	// <"x,y", bitmask of neighbors>
+  const toKey = (x, y) => `${x},${y}`;
+  for (const { x, y } of cells) connections.set(toKey(x, y), 0);
+  for (let i = 0; i < cells.length-1; i++) {
+    const a = cells[i];
+    const b = cells[i+1];
+    if (a.x === b.x && a.y === b.y) continue;
+    connect(connections, toKey(a.x, a.y), getDirectionBit(a, b));
+    connect(connections, toKey(b.x, b.y), getDirectionBit(b, a));
+  }
+
+  if (closed && addGate) insertGate(connections, toKey);
+
+  const placements = [];
+  for (const [key, neighbors] of connections) {
+    const [x, y] = key.split(",").map(Number);
+    placements.push({ x, y, tileID: FENCE_TILES[neighbors] });
+  }
+  return placements;
+}
+
+/**
+ * @param {Map<string, number>} connections
+ * @param {string} key
+ * @param {number} bit
+ */
+function connect(connections, key, bit) {
+  connections.set(key, connections.get(key) | bit);
+}
+
+/**
+ * Returns the bit for the direction from cell a to its neighbor b.
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number}
+ */
+function getDirectionBit(a, b) {
+  if (b.y < a.y) return UP;
+  if (b.y > a.y) return DOWN;
+  if (b.x < a.x) return LEFT;
+  return RIGHT;
+}
+
+/**
+ * Removes a horizontal fence tile from the lowest side of the fence (where house doors face) and caps the fence on either side of the gap.
+ * Prefers a tile whose neighbors are also horizontal, so the gap doesn't cut into a corner.
+ * @param {Map<string, number>} connections
+ * @param {(x: number, y: number) => string} toKey
+ */
+function insertGate(connections, toKey) {
+  const isHorizontal = (x, y) => connections.get(toKey(x, y)) === (LEFT | RIGHT);
+
+  let candidates = [];
+  for (const key of connections.keys()) {
+    const [x, y] = key.split(",").map(Number);
+    if (isHorizontal(x, y) && isHorizontal(x-1, y) && isHorizontal(x+1, y)) candidates.push({ x, y });
+  }
+  if (candidates.length === 0) return;
+
+  // Pick the middle candidate of the lowest row
+  const lowestY = Math.max(...candidates.map(c => c.y));
+  candidates = candidates.filter(c => c.y === lowestY).sort((a, b) => a.x - b.x);
+  const gate = candidates[Math.floor(candidates.length/2)];
+
+  connections.delete(toKey(gate.x, gate.y));
+  connections.set(toKey(gate.x-1, gate.y), connections.get(toKey(gate.x-1, gate.y)) & ~RIGHT);
+  connections.set(toKey(gate.x+1, gate.y), connections.get(toKey(gate.x+1, gate.y)) & ~LEFT);
+}
\ No newline at end of file
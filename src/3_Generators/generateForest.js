@@ -1,15 +1,15 @@
-import WFCModel from "../2_WFC/1_Model/WFCModel.js";
-import IMAGES from "../2_WFC/2_Input/IMAGES.js";
-
-const model = new WFCModel().learn(IMAGES.FORESTS, 2);
-
 /**
- * @param {BoundingBox} boundingBox
+ * Registered in structures.js, which learns the forest training images into context.model.
+ * @param {BoundingBox | FillRegion} region If region has a mask, the cells outside of it are left empty (-1), so the forest takes the region's shape.
+ * @param {StructureContext} context context.seed: pass a seed to always generate the same forest for the same region.
+ *    context.settings.density: how much denser than the forests in the training maps the forest should be. Ex: 2 has about twice as many trees, 0.5 about half as many.
  * @returns {TilemapImage}
  */
-export default function generateForest(boundingBox) {
-  model.clearSetTiles();
-  const forest = model.generate(boundingBox.width, boundingBox.height, 10, false, false);
+export default function generateForest(region, { model, seed, settings }) {
+  // Only relative weights matter, so making empty tiles less common makes trees more common
+  const tileWeights = new Map([[-1, 1/settings.density]]);
+
+  const forest = model.generate(region.width, region.height, 10, false, false, seed, tileWeights, region.mask ?? null);
   if (!forest) throw new Error ("Contradiction created");
   return forest;
 }
\ No newline at end of file
@@ -1,30 +1,36 @@
-import WFCModel from "../2_WFC/1_Model/WFCModel.js";
-import IMAGES from "../2_WFC/2_Input/IMAGES.js";
-import TILEMAP from "../4_Phaser/TILEMAP.js";
-
-const model = new WFCModel().learn(IMAGES.HOUSES, 2);
+import TILEMAP from "../4_Phaser/tilemap.js";
+import createSeededRandom from "../5_Utility/seededRandom.js";
 
 /**
+ * Registered in structures.js, which learns the house training images into context.model and sets the corner tiles.
  * @param {BoundingBox} boundingBox
+ * @param {StructureContext} context context.seed: pass a seed to always generate the same house (and door position) for the same bounding box.
+ *    context.settings.blueRoofPreference: how many times more likely a blue roof is than usual, compared to a red roof. Ex: 4 prefers blue roofs, 0.25 prefers red roofs.
  * @returns {TilemapImage}
  */
-export default function generateHouse(boundingBox) {
+export default function generateHouse(boundingBox, { model, seed, settings }) {
   const { width, height } = boundingBox;
+  const random = seed === null ? Math.random : createSeededRandom(seed);
+
+  setDoorRandomlyAtBottom(model, width, height, random);
 
-  model.clearSetTiles();
-  model.setTile(0, 0, TILEMAP.HOUSE_TOP_LEFT_TILES);
-  model.setTile(width-1, 0, TILEMAP.HOUSE_TOP_RIGHT_TILES);
-  model.setTile(0, height-1, TILEMAP.HOUSE_BOTTOM_LEFT_TILES);
-  model.setTile(width-1, height-1, TILEMAP.HOUSE_BOTTOM_RIGHT_TILES);
-  setDoorRandomlyAtBottom(width, height);
+  const tileWeights = new Map();
+  for (const id of TILEMAP.BLUE_ROOF_TILES) tileWeights.set(id, Math.sqrt(settings.blueRoofPreference));
+  for (const id of TILEMAP.RED_ROOF_TILES) tileWeights.set(id, 1/Math.sqrt(settings.blueRoofPreference));	// split between both colors so neither weight gets extreme
 
-  const house = model.generate(width, height, 10, false, false);
+  const house = model.generate(width, height, 10, false, false, seed, tileWeights);
   if (!house) throw new Error("Contradiction created");
   return house;
 }
 
-function setDoorRandomlyAtBottom(width, height) {
-  const x = randIntInRange(1, width-1);
+/**
+ * @param {WFCModel} model
+ * @param {number} width
+ * @param {number} height
+ * @param {RandomNumberGenerator} random
+ */
+function setDoorRandomlyAtBottom(model, width, height, random) {
+  const x = randIntInRange(1, width-1, random);
 
   if (width === 3) {
     model.setTile(x, height-1, TILEMAP.HOUSE_DOOR_TILES);
@@ -42,8 +48,9 @@ function setDoorRandomlyAtBottom(width, height) {
  * Returns a random integer in the range [min, max). 
  * @param {number} min Must be an integer.
  * @param {number} max Must be an integer.
+ * @param {RandomNumberGenerator} random
  * @returns {number}
 */
-function randIntInRange(min, max) {
-  return Math.floor(Math.random() * (max - min) + min);
+function randIntInRange(min, max, random) {
+  return Math.floor(random() * (max - min) + min);
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+import TILEMAP from "../4_Phaser/tilemap.js";
+import connectTrace from "./connectTrace.js";
+
+/**
+ * Turns a trace into a continuous, 2 tile wide dirt walkway.
+ * Each tile is picked based on which of its neighbors are also walkway, so the walkway gets proper edges and corners.
+ * Where walkways cross or turn, the tileset has no inner corner tiles, so those junctions use the plain dirt tile.
+ * @param {Point[]} trace The cells the stroke passes through, in tilemap coordinates and in the order they were drawn.
+ * @returns {TilePlacement[]}
+ */
+export default function generatePath(trace) {
+  const walkway = new Set();	// <"x,y">
+  const toKey = (x, y) => `${x},${y}`;
+
+  // Widen every cell into a 2x2 block, shifting the block back onto the tilemap at the right and bottom edges
+  for (const cell of connectTrace(trace)) {
+    const x = Math.min(cell.x, TILEMAP.WIDTH-2);
+    const y = Math.min(cell.y, TILEMAP.HEIGHT-2);
+    for (let dy = 0; dy < 2; dy++) {
+    for (let dx = 0; dx < 2; dx++) {
+      walkway.add(toKey(x+dx, y+dy));
+    }}
+  }
+
+  const placements = [];
+  for (const key of walkway) {
+    const [x, y] = key.split(",").map(Number);
+    const up = walkway.has(toKey(x, y-1));
+    const down = walkway.has(toKey(x, y+1));
+    const left = walkway.has(toKey(x-1, y));
+    const right = walkway.has(toKey(x+1, y));
+
+    // Edges face whichever side has no walkway
+    const row = !up ? 0 : (!down ? 2 : 1);
+    const col = !left ? 0 : (!right ? 2 : 1);
+    placements.push({ x, y, tileID: TILEMAP.PATH_TILES[row*3 + col] });
+  }
+
+  return placements;
+}
\ No newline at end of file
@@ -0,0 +1,86 @@
+import TILEMAP from "../4_Phaser/tilemap.js";
+import DIRECTIONS from "../2_WFC/1_Model/directions.js";
+import Queue from "../2_WFC/1_Model/queue.js";
+
+const DOOR_TILES = [...TILEMAP.HOUSE_DOOR_TILES, ...TILEMAP.HOUSE_DOUBLE_DOOR_LEFT_TILES, ...TILEMAP.HOUSE_DOUBLE_DOOR_RIGHT_TILES];
+const WALKABLE_TILES = [-1, 0, TILEMAP.ROAD_TILE, ...TILEMAP.PATH_TILES];	// empty tiles (0 before anything is placed), roads and paths
+
+/**
+ * Builds a road network that connects the door of every house to each other and to the edge of the map, going around every other structure.
+ * The first door gets the shortest road to an edge, and every other door gets the shortest road to a road that's already built,
+ * so all doors end up connected. Roads can run along existing paths, which aren't replaced.
+ * Doors that are walled in (ex: by a fence) can't be reached and are skipped.
+ * @param {TilemapImage} image The placed structures. Must be TILEMAP.WIDTH by TILEMAP.HEIGHT.
+ * @returns {TilePlacement[]} The road tiles to place.
+ */
+export default function generateRoads(image) {
+  const isWalkable = (x, y) => x >= 0 && x < TILEMAP.WIDTH && y >= 0 && y < TILEMAP.HEIGHT && WALKABLE_TILES.includes(image[y][x]);
+  const isEdge = (x, y) => x === 0 || x === TILEMAP.WIDTH-1 || y === 0 || y === TILEMAP.HEIGHT-1;
+
+  const roads = new Set();	// <"x,y">
+  const toKey = (x, y) => `${x},${y}`;
+
+  for (const { x, y } of getDoorsteps(image)) {
+    if (!isWalkable(x, y)) continue;	// something was built right in front of the door
+
+    const isTarget = roads.size === 0 ? isEdge : (x, y) => roads.has(toKey(x, y));
+    const road = findShortestRoute(x, y, isWalkable, isTarget);
+    if (!road) continue;
+    for (const cell of road) roads.add(toKey(cell.x, cell.y));
+  }
+
+  const placements = [];
+  for (const key of roads) {
+    const [x, y] = key.split(",").map(Number);
+    if (TILEMAP.PATH_TILES.includes(image[y][x])) continue;	// keep existing paths
+    placements.push({ x, y, tileID: TILEMAP.ROAD_TILE });
+  }
+  return placements;
+}
+
+/**
+ * Returns the cell right below every door tile, where the door's road starts.
+ * @param {TilemapImage} image
+ * @returns {Point[]} In tilemap coordinates.
+ */
+function getDoorsteps(image) {
+  const doorsteps = [];
+  for (let y = 0; y < image.length-1; y++) {	// length-1 because doors on the bottom row have no doorstep
+  for (let x = 0; x < image[0].length; x++) {
+    if (DOOR_TILES.includes(image[y][x])) doorsteps.push({ x, y: y+1 });
+  }}
+  return doorsteps;
+}
+
+/**
+ * Returns the cells of the shortest walkable route from (x, y) to the nearest target cell, or null if no target can be reached.
+ * @param {number} x
+ * @param {number} y
+ * @param {(x: number, y: number) => boolean} isWalkable
+ * @param {(x: number, y: number) => boolean} isTarget
+ * @returns {Point[] | null} Both ends included.
+ */
+function findShortestRoute(x, y, isWalkable, isTarget) {
+  // Breadth first search, remembering where each cell was reached from so the route can be traced back
+  const cameFrom = new Map([[`${x},${y}`, null]]);	// <"x,y", previous cell>
+  const queue = new Queue();
+  queue.enqueue({ x, y });
+
+  while (queue.length > 0) {
+    const cell = queue.dequeue();
+    if (isTarget(cell.x, cell.y)) {
+      const route = [];
+      for (let c = cell; c !== null; c = cameFrom.get(`${c.x},${c.y}`)) route.push(c);
+      return route;
+    }
+
+    for (const [dy, dx] of DIRECTIONS) {
+      const next = { x: cell.x+dx, y: cell.y+dy };
+      const key = `${next.x},${next.y}`;
+      if (cameFrom.has(key) || !isWalkable(next.x, next.y)) continue;
+      cameFrom.set(key, cell);
+      queue.enqueue(next);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,200 @@
+import WFCModel from "../2_WFC/1_Model/wfcModel.js";
+import TILEMAP from "../4_Phaser/tilemap.js";
+
+const N = 2;	// the pattern size of every structure's model
+const REGION_TYPES = ["box", "trace", "fill"];
+
+/**
+ * Every registered structure type by name, in the order they were registered (which is also the order of their pens on the sketchpad).
+ * @type {Map<string, StructureType>}
+ */
+const structures = new Map();
+
+/**
+ * The model of every structure type with training images, learned the first time the structure is generated.
+ * @type {Map<string, WFCModel>}
+ */
+const models = new Map();
+
+/**
+ * Adds a structure type, so it gets a pen on the sketchpad and its regions are generated by its generator.
+ * @param {StructureType} structure
+ */
+export function registerStructure(structure) {
+  if (structures.has(structure.name)) throw new Error(`Structure type "${structure.name}" is already registered.`);
+  if (!REGION_TYPES.includes(structure.regionType)) throw new Error(`Structure type "${structure.name}" has unknown region type "${structure.regionType}".`);
+  if (structure.fixedTiles && !structure.images) throw new Error(`Structure type "${structure.name}" has fixed tiles but no images to learn.`);
+  if (structure.sizeLimits && structure.regionType === "trace") throw new Error(`Structure type "${structure.name}" has size limits, but traces don't have a size.`);
+  structures.set(structure.name, structure);
+}
+
+/**
+ * @param {string} name
+ * @returns {StructureType}
+ */
+export function getStructure(name) {
+  const structure = structures.get(name);
+  if (!structure) throw new Error(`Structure type "${name}" isn't registered.`);
+  return structure;
+}
+
+/** @returns {StructureType[]} In the order they were registered. */
+export function getStructures() {
+  return [...structures.values()];
+}
+
+/**
+ * Generates a structure for a region of the sketch.
+ * If the structure type has images, its generator gets a model that learned them, with the structure's fixed tiles already set.
+ * @param {string} name
+ * @param {BoundingBox | FillRegion | Point[]} region A trace (Point[]) for "trace" structures, and a BoundingBox (or FillRegion) for the others.
+ * @param {number | null} seed (Default null) Pass a seed to always generate the same structure for the same region.
+ * @param {Object<string, number>} settings (Default {}) The values of the structure's settings. Settings that are left out are 1.
+ * @returns {TilemapImage | TilePlacement[]} A TilemapImage the size of the region's bounding box, or the tiles to place for "trace" structures.
+ */
+export function generateStructure(name, region, seed = null, settings = {}) {
+  const structure = getStructure(name);
+  if (structure.sizeLimits && !fitsSizeLimits(region, structure.sizeLimits)) {
+    throw new Error(`${name} regions must be ${describeSizeLimits(structure.sizeLimits)}, but this one is ${region.width}x${region.height}. Use fitRegion() first.`);
+  }
+
+  const model = structure.images ? getModel(structure) : null;
+  if (model) {
+    model.constraintSolver.numAttempts = 0;	// so a fixed tile that can't be set doesn't report the last structure's attempts
+    model.clearSetTiles();
+    for (const { x, y, tiles } of structure.fixedTiles ?? []) {
+      model.setTile(x < 0 ? region.width + x : x, y < 0 ? region.height + y : y, tiles);
+    }
+  }
+
+  const allSettings = {};
+  for (const setting of structure.settings ?? []) allSettings[setting.name] = settings[setting.name] ?? 1;
+
+  return structure.generator(region, { model, seed, settings: allSettings });
+}
+
+/**
+ * Returns the model a structure type is generated with (learning it the first time), or null if the structure has no images.
+ * Ex: to watch the structure being solved with the model's constraintSolver.onStep.
+ * @param {string} name
+ * @returns {WFCModel | null}
+ */
+export function getStructureModel(name) {
+  const structure = getStructure(name);
+  return structure.images ? getModel(structure) : null;
+}
+
+/**
+ * Returns how many attempts the solver made the last time a structure was generated, or null if the structure has no model (or hasn't been generated yet).
+ * It's 0 if generating failed before the first attempt (ex: the fixed tiles contradicted each other).
+ * @param {string} name
+ * @returns {number | null}
+ */
+export function getLastAttempts(name) {
+  return models.get(name)?.constraintSolver.numAttempts ?? null;
+}
+
+/**
+ * Makes a region fit its structure's size limits: a region that's too small grows (staying on the tilemap),
+ * and a region that's too big is split into evenly sized regions that each fit.
+ * "fill" regions that change lose their mask, since it no longer lines up.
+ * @param {string} name
+ * @param {BoundingBox | FillRegion | Point[]} region
+ * @returns {{ regions: (BoundingBox | FillRegion | Point[])[], message: string | null }} The regions to generate instead,
+ *    and a message for the user if the region had to change (null if it didn't).
+ */
+export function fitRegion(name, region) {
+  const limits = getStructure(name).sizeLimits;
+  if (!limits || fitsSizeLimits(region, limits)) return { regions: [region], message: null };
+
+  const columns = fitLength(region.topLeft.x, region.width, limits.minWidth, limits.maxWidth, TILEMAP.WIDTH);
+  const rows = fitLength(region.topLeft.y, region.height, limits.minHeight, limits.maxHeight, TILEMAP.HEIGHT);
+  const regions = [];
+  for (const [y, height] of rows) {
+  for (const [x, width] of columns) {
+    regions.push({
+      topLeft: { x, y },
+      bottomRight: { x: x + width - 1, y: y + height - 1 },
+      width,
+      height
+    });
+  }}
+
+  const drawn = `The ${name} drawn at (${region.topLeft.x}, ${region.topLeft.y}) is ${region.width}x${region.height} tiles, but ${name} regions must be ${describeSizeLimits(limits)}.`;
+  const fix = regions.length === 1
+    ? `It was made ${regions[0].width}x${regions[0].height}.`
+    : `It was split into ${regions.length} ${name} regions.`;
+  return { regions, message: `${drawn} ${fix}` };
+}
+
+/**
+ * Returns the smallest and largest structure in a set of images, ignoring the empty tiles (-1) around each structure.
+ * @param {TilemapImage[]} images
+ * @returns {SizeLimits}
+ */
+export function getSizeLimits(images) {
+  const limits = { minWidth: Infinity, minHeight: Infinity, maxWidth: 0, maxHeight: 0 };
+  for (const image of images) {
+    const rows = image.map((row, y) => y).filter(y => image[y].some(id => id !== -1));
+    const columns = image[0].map((id, x) => x).filter(x => image.some(row => row[x] !== -1));
+    if (rows.length === 0) continue;
+
+    const width = columns.at(-1) - columns[0] + 1;
+    const height = rows.at(-1) - rows[0] + 1;
+    limits.minWidth = Math.min(limits.minWidth, width);
+    limits.minHeight = Math.min(limits.minHeight, height);
+    limits.maxWidth = Math.max(limits.maxWidth, width);
+    limits.maxHeight = Math.max(limits.maxHeight, height);
+  }
+  return limits;
+}
+
+/**
+ * @param {BoundingBox} region
+ * @param {SizeLimits} limits
+ * @returns {boolean}
+ */
+function fitsSizeLimits(region, limits) {
+  return region.width >= limits.minWidth && region.width <= limits.maxWidth && region.height >= limits.minHeight && region.height <= limits.maxHeight;
+}
+
+/**
+ * @param {SizeLimits} limits
+ * @returns {string} Ex: "3x3 to 7x7 tiles"
+ */
+function describeSizeLimits(limits) {
+  return `${limits.minWidth}x${limits.minHeight} to ${limits.maxWidth}x${limits.maxHeight} tiles`;
+}
+
+/**
+ * Fits a span of tiles along one axis between min and max tiles long.
+ * @param {number} start
+ * @param {number} length
+ * @param {number} min
+ * @param {number} max
+ * @param {number} mapLength The length of the tilemap along this axis, which the span has to stay inside of.
+ * @returns {[start: number, length: number][]} One span if it fit or was grown, or several evenly sized spans if it was split.
+ */
+function fitLength(start, length, min, max, mapLength) {
+  if (length < min) return [[Math.max(0, Math.min(start, mapLength - min)), min]];
+  if (length <= max) return [[start, length]];
+
+  // the pieces are at least max/2 long, so they're long enough as long as max is at least double min
+  const count = Math.ceil(length / max);
+  const spans = [];
+  for (let i = 0; i < count; i++) {
+    const pieceStart = start + Math.floor(i * length / count);
+    const pieceEnd = start + Math.floor((i + 1) * length / count);
+    spans.push([pieceStart, pieceEnd - pieceStart]);
+  }
+  return spans;
+}
+
+/**
+ * @param {StructureType} structure
+ * @returns {WFCModel}
+ */
+function getModel(structure) {
+  if (!models.has(structure.name)) models.set(structure.name, new WFCModel().learn(structure.images, N));
+  return models.get(structure.name);
+}
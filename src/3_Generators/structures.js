@@ -0,0 +1,67 @@
+/*
+  The structure types that can be drawn on the sketchpad
+  To add a structure type, register it here: its pen, settings sliders and generation all come from its registration
+*/
+
+import IMAGES from "../2_WFC/2_Input/images.js";
+import TILEMAP from "../4_Phaser/tilemap.js";
+import { registerStructure, getSizeLimits } from "./structureRegistry.js";
+import generateHouse from "./generateHouse.js";
+import generateForest from "./generateForest.js";
+import generateFence from "./generateFence.js";
+import generatePath from "./generatePath.js";
+
+registerStructure({
+  name: "House",
+  color: "#f54242",
+  buttonClass: "is-danger",
+  regionType: "box",
+  layer: "Houses-n-Fences",
+  images: IMAGES.HOUSES,
+  sizeLimits: getSizeLimits(IMAGES.HOUSES),	// the corner tiles and door only fit together in houses about as big as the ones the model learned
+  fixedTiles: [
+    { x: 0, y: 0, tiles: TILEMAP.HOUSE_TOP_LEFT_TILES },
+    { x: -1, y: 0, tiles: TILEMAP.HOUSE_TOP_RIGHT_TILES },
+    { x: 0, y: -1, tiles: TILEMAP.HOUSE_BOTTOM_LEFT_TILES },
+    { x: -1, y: -1, tiles: TILEMAP.HOUSE_BOTTOM_RIGHT_TILES }
+  ],
+  settings: [
+    { name: "blueRoofPreference", title: "Roof color of generated houses", minLabel: "Red", maxLabel: "Blue" }
+  ],
+  generator: generateHouse
+});
+
+registerStructure({
+  name: "Forest",
+  color: "#009632",
+  buttonClass: "is-success",
+  regionType: "fill",
+  layer: "Trees-n-Bushes",
+  images: IMAGES.FORESTS,
+  settings: [
+    { name: "density", title: "Density of generated forests", minLabel: "Sparse", maxLabel: "Dense" }
+  ],
+  generator: generateForest
+});
+
+registerStructure({
+  name: "Fence",
+  color: "#f5c842",
+  buttonClass: "is-warning",
+  regionType: "trace",
+  layer: "Houses-n-Fences",
+  clearInSuggestions: true,	// the suggestions model never learned most fence shapes (like loops or diagonals), so setting fence tiles contradicts it
+  generator: (trace) => generateFence(trace)
+});
+
+registerStructure({
+  name: "Path",
+  color: "#8000ff",
+  buttonClass: "is-link",
+  regionType: "trace",
+  layer: "Ground-n-Walkways",
+  clearInSuggestions: true,	// the suggestions model only learned a few path shapes, so setting path tiles (or the roads' cobblestones) contradicts it
+  generator: (trace) => generatePath(trace)
+});
+
+export { getStructure, getStructures, getStructureModel, generateStructure, fitRegion, getLastAttempts } from "./structureRegistry.js";
@@ -1,13 +1,25 @@
 import Phaser from "../../lib/phaserModule.js";
-import WFCModel from "../2_WFC/1_Model/wfcModel.js";
+import WFCWorkerModel from "../2_WFC/3_Worker/wfcWorkerModel.js";
 import IMAGES from "../2_WFC/2_Input/images.js";
 import TILEMAP from "./tilemap.js";
 import getBoundingBox from "../3_Generators/getBoundingBox.js";
-import generateHouse from "../3_Generators/generateHouse.js";
-import generateForest from "../3_Generators/generateForest.js";
+import { getStructure, generateStructure, fitRegion, getLastAttempts } from "../3_Generators/structures.js";
+import generateRoads from "../3_Generators/generateRoads.js";
 import { Regions } from "../1_Sketchpad/strokeToTiles.js";
+import createSeededRandom, { createRandomSeed } from "../5_Utility/seededRandom.js";
+import exportTiledMap from "../5_Utility/tiledExporter.js";
 
 const SUGGESTED_TILE_ALPHA = 0.5;  // must be between 0 and 1
+const STRUCTS_BACKTRACK_BUDGET = 200;  // see WFCModel.setBacktrackBudget()
+const INCREMENTAL_MARGIN = 2;  // in tiles, how far around a changed tile the map suggestions are also regenerated
+const EMPTY_TILE = -1;  // no structure, in the images the structure suggestions learned
+const SUGGESTIONS_KEY = "suggestions";  // the status key of the map suggestions (regions use their JSON as their key)
+
+// the layers of map1.tmj that the layered model learns, in order (each structure type names the layer its tiles belong to)
+const LAYERED_MAP_LAYERS = ["Ground-n-Walkways", "Trees-n-Bushes", "Houses-n-Fences"];
+const GROUND_LAYER = 0;
+const TREES_LAYER = 1;
+const HOUSES_LAYER = 2;
 
 export default class Autotiler extends Phaser.Scene {
   constructor() {
@@ -22,35 +34,37 @@ export default class Autotiler extends Phaser.Scene {
 
   create() {
     const cellSize = 16;
+    this.cellSize = cellSize;
     this.multiLayerMap = this.add.tilemap("tinyTownMap", cellSize, cellSize, 40, 25);
     this.tileset = this.multiLayerMap.addTilesetImage("kenney-tiny-town", "tilemap");
 
-    this.groundModel = new WFCModel().learn(IMAGES.GROUND, 2);
-    this.structsModel = new WFCModel().learn([...IMAGES.STRUCTURES, ...IMAGES.HOUSES], 2);
+    // these models generate the whole map, so they learn and generate in web workers to keep the page responsive
+    this.groundModel = new WFCWorkerModel();
+    this.groundModel.learn(IMAGES.GROUND, 2);
+    this.structsModel = new WFCWorkerModel().setBacktrackBudget(STRUCTS_BACKTRACK_BUDGET);
+    this.structsModel.learn([...IMAGES.STRUCTURES, ...IMAGES.HOUSES], 2);
+
+    // generates the ground and structures together instead, so paths line up with dirt, etc.
+    const layeredImage = this.getLayeredImage("tinyTownMap", LAYERED_MAP_LAYERS);
+    this.layeredTileIDs = layeredImage.map(layer => new Set(layer.flat()));  // the tiles the layered model knows, per layer
+    this.layeredModel = new WFCWorkerModel("LayeredModel").setBacktrackBudget(STRUCTS_BACKTRACK_BUDGET);
+    this.layeredModel.learn([layeredImage], 2);
 
-    this.generator = {
-      House: (region) => generateHouse({width: region.width, height: region.height}),
-      Path: (region) => console.log("TODO: link path generator", region),
-      Fence: (region) => console.log("TODO: link fence generator", region),
-      Forest: (region) => generateForest({width: region.width, height: region.height})
-    };
+    // every finished generation, by its id from the sketchpad, so undo/redo can show it again
+    this.generations = new Map();
 
     window.addEventListener("generate", (e) => {
-      this.sketch = e.detail.sketch;
-      this.structures = e.detail.structures;
-      this.regions = new Regions(this.sketch, this.structures, cellSize).get();
+      this.startGeneration(e.detail);
+    });
 
-      const sketchImage = Array.from({ length: TILEMAP.HEIGHT }, () => Array(TILEMAP.WIDTH).fill(0));  // 2D array of all 0s
-      
-      this.structsModel.clearSetTiles();
-      this.generate(this.regions, sketchImage);
-      
-      console.log("Structures generated, attempting to generate map suggestions.");
-      this.createGroundMap()
-      this.createStructsMap_WFC();
-      this.createStructsMap_Sketch(sketchImage);
+    // generates a single failed region (or the map suggestions) again with a new seed, keeping everything else from the last generation
+    window.addEventListener("retryRegion", (e) => {
+      if (!this.lastRequest) return;
+      this.startGeneration({ ...this.lastRequest, seed: null, incremental: true, generation: e.detail.generation, retryRegion: e.detail.key });
+    });
 
-      console.log("Generation Complete");
+    window.addEventListener("cancelGeneration", (e) => {
+      this.cancelGeneration();
     });
 
     window.addEventListener("clearSketch", (e) => {
@@ -58,37 +72,169 @@ export default class Autotiler extends Phaser.Scene {
       
       console.log("Clearing sketch data");
       this.structsModel.clearSetTiles();
+      this.layeredModel.clearSetTiles();
+      this.lastGeneration = null;  // nothing is left to keep
     });
 
+    window.addEventListener("exportMap", (e) => {
+      if (!this.groundImage) {
+        console.warn("There is no generated map to export yet. Press Generate first.");
+        return;
+      }
+
+      exportTiledMap([
+        { name: "Ground", image: this.groundImage },
+        { name: "Structures", image: this.structsImage_Sketch },
+        { name: "Suggested Structures", image: this.structsImage_WFC, opacity: SUGGESTED_TILE_ALPHA }
+      ], "generatedMap.tmj");
+    });
+
+    // undoing/redoing past a generation shows the tilemap that was showing at that point in the history
     window.addEventListener("undoSketch", (e) => {
-      console.log("TODO: implement undo functionality");
+      this.cancelGeneration();
+      this.showGeneration(e.detail.generation);
     });
 
     window.addEventListener("redoSketch", (e) => {
-      console.log("TODO: implement redo functionality");
+      this.cancelGeneration();
+      this.showGeneration(e.detail.generation);
     });
   }
 
+  // generates a tilemap for a request from the sketchpad (see the "generate" event)
+  //    reports the status of every region and of the map suggestions to the sketchpad as it goes
+  async startGeneration(request) {
+    this.cancelGeneration();  // a new generation replaces one that's still running
+    let success = false;
+
+    // the sketchpad keeps adding strokes to its sketch, so retries (see "retryRegion") keep a copy of the sketch as it was requested
+    request = { ...request, sketch: [...request.sketch] };
+    this.lastRequest = request;
+    this.sketch = request.sketch;
+    this.structures = request.structures;
+    this.settings = request.settings;  // from the sliders next to the structure pens
+    this.layered = request.layered;
+
+    // every random decision below is derived from this one seed, so the same sketch and seed always give the same tilemap
+    //    (unless only the changes are being regenerated, since the result then also depends on the last tilemap)
+    const seed = request.seed ?? createRandomSeed();
+    this.random = createSeededRandom(seed);
+    console.log(`Generating with seed ${seed}`);
+
+    const sketchImage = Array.from({ length: TILEMAP.HEIGHT }, () => Array(TILEMAP.WIDTH).fill(0));  // 2D array of all 0s
+    const previous = (request.incremental && this.lastGeneration?.layered === this.layered) ? this.lastGeneration : null;
+    // a retry keeps every region of the last attempt, even if the suggestions failed (so there's no last generation)
+    const previousOutputs = request.retryRegion !== undefined ? this.regionOutputs : previous?.regionOutputs;
+    const previousStatuses = this.statuses ?? new Map();
+    this.statuses = new Map();
+
+    try {
+      this.regions = new Regions(this.sketch, this.structures, this.cellSize).get();
+      this.sketchTiles = [];
+      this.regionOutputs = new Map();
+      this.generate(this.regions, sketchImage, previousOutputs, request.retryRegion, previousStatuses);
+      this.connectDoors(sketchImage);
+      
+      console.log("Structures generated, attempting to generate map suggestions.");
+      this.suggestionAttempts = 0;
+      this.setStatus(SUGGESTIONS_KEY, "Map suggestions", "generating");
+      const seeds = [createRandomSeed(this.random), createRandomSeed(this.random)];
+      const changedCells = previous ? this.getChangedCells(previous.sketchImage, sketchImage) : null;
+      try {
+        this.constrainSuggestions(previous, changedCells);
+        await this.createSuggestions(seeds);
+      } catch (error) {
+        if (!changedCells || error.name === "AbortError") throw error;
+        console.log("Couldn't keep the unchanged parts of the map, regenerating all of it.");
+        this.constrainSuggestions(null, null);
+        await this.createSuggestions(seeds);
+      }
+      this.setStatus(SUGGESTIONS_KEY, "Map suggestions", "done", null, this.suggestionAttempts);
+      this.createStructsMap_Sketch(sketchImage);
+
+      this.lastGeneration = {
+        layered: this.layered,
+        sketchImage: sketchImage,
+        regionOutputs: this.regionOutputs,
+        groundImage: this.groundImage,
+        structsImage: this.structsImage_WFC,
+        layeredImages: this.layeredImages
+      };
+      this.generations.set(request.generation, this.lastGeneration);
+      success = true;
+      console.log("Generation Complete");
+    } catch (error) {
+      if (error.name === "AbortError") {
+        console.log("Generation cancelled");
+        if (this.lastRequest === request) this.setStatus(SUGGESTIONS_KEY, "Map suggestions", "cancelled");
+      } else {
+        console.error(error);
+        this.setStatus(SUGGESTIONS_KEY, "Map suggestions", "failed", error.message, this.suggestionAttempts);
+      }
+    } finally {
+      // a generation that was replaced by a newer one doesn't report finishing, since the newer one is still going
+      if (this.lastRequest === request) {
+        window.dispatchEvent(new CustomEvent("generationFinished", { detail: { generation: request.generation, success: success } }));
+      }
+    }
+  }
+
+  // records the status of a region (or of the map suggestions) and sends every status to the sketchpad's status panel
+  //    state is "generating", "done", "failed" or "cancelled", and attempts is how many attempts the solver made (null if it wasn't used)
+  setStatus(key, label, state, message = null, attempts = null) {
+    this.statuses.set(key, { key, label, state, message, attempts });
+    window.dispatchEvent(new CustomEvent("generationStatus", { detail: { statuses: [...this.statuses.values()] } }));
+  }
+
   // calls generators
-  generate(regions, sketchImage) {
+  //    regions that are the same as last time (with the same settings) reuse last time's structure instead
+  //    regions that are too small or too big for their structure are grown or split first, and the user is told why
+  //    a region that can't be generated is reported as failed and left out, instead of stopping the whole generation
+  //    when retrying a region (retryKey), the other regions that failed last time stay failed until they're retried too
+  generate(regions, sketchImage, previousOutputs = new Map(), retryKey = undefined, previousStatuses = new Map()) {
     const result = [];
     for (let structType in regions) {
-      for (let region of regions[structType]) {
-        const gen = this.generator[structType](region);
+      for (let region of regions[structType].flatMap(region => this.fitRegion(structType, region))) {
+        const key = JSON.stringify([structType, region, this.settings[structType] ?? null]);
+        const label = this.getRegionLabel(structType, region);
+        if (retryKey !== undefined && key !== retryKey && previousStatuses.get(key)?.state === "failed") {
+          this.statuses.set(key, previousStatuses.get(key));
+          continue;
+        }
 
-        if(this.structures[structType].regionType === "box"){
+        let gen = previousOutputs.get(key);
+        if (gen) {
+          this.setStatus(key, label, "done", null, previousStatuses.get(key)?.attempts ?? null);
+        } else {
+          try {
+            gen = generateStructure(structType, region, createRandomSeed(this.random), this.settings[structType]);
+            this.setStatus(key, label, "done", null, getLastAttempts(structType));
+          } catch (error) {
+            console.error(error);
+            this.setStatus(key, label, "failed", error.message, getLastAttempts(structType));
+            continue;
+          }
+        }
+        this.regionOutputs.set(key, gen);
+
+        // "fill" regions are boxes too, but only the cells inside their mask are placed
+        if(this.structures[structType].regionType === "box" || this.structures[structType].regionType === "fill"){
           console.log("Attempting to generate a structure.");
           for (let y = 0; y < region.height; y++) {
           for (let x = 0; x < region.width; x++) {
+            if (region.mask && !region.mask[y][x]) continue;
             const dy = y + region.topLeft.y;
             const dx = x + region.topLeft.x;
             sketchImage[dy][dx] = gen[y][x];
-            this.structsModel.setTile(dx, dy, [gen[y][x]]);
+            this.sketchTiles.push({ structType, x: dx, y: dy, tileID: gen[y][x] });
           }}
         }
 
         if(this.structures[structType].regionType === "trace"){
-          // TODO: implement trace region placements
+          for (const { x, y, tileID } of gen) {
+            sketchImage[y][x] = tileID;
+            this.sketchTiles.push({ structType, x, y, tileID });
+          }
         }
 
       }
@@ -96,9 +242,181 @@ export default class Autotiler extends Phaser.Scene {
     return result;
   }
 
-  createGroundMap() {
-      const image = this.groundModel.generate(TILEMAP.WIDTH, TILEMAP.HEIGHT, 10, false, false);
+  // describes where a region is, for the status panel (ex: "House at (3, 4)")
+  getRegionLabel(structType, region) {
+    const { x, y } = region.topLeft ?? region[0];
+    return `${structType} at (${x}, ${y})`;
+  }
+
+  // returns the regions to generate for a drawn region, warning the user if the drawn region didn't fit its structure's size limits
+  fitRegion(structType, region) {
+    const { regions, message } = fitRegion(structType, region);
+    if (message) window.dispatchEvent(new CustomEvent("sketchWarning", { detail: { message } }));
+    return regions;
+  }
+
+  // builds roads between the doors of the generated houses and the map edge
+  //    roads are paths, so the suggestions only keep them clear (see setSuggestionTile())
+  connectDoors(sketchImage) {
+    for (const { x, y, tileID } of generateRoads(sketchImage)) {
+      sketchImage[y][x] = tileID;
+      this.sketchTiles.push({ structType: "Path", x, y, tileID });
+    }
+  }
+
+  // returns a 2D array of whether each tile (or a tile within INCREMENTAL_MARGIN of it) changed between two sketch images
+  getChangedCells(previousImage, image) {
+    const changedCells = Array.from({ length: TILEMAP.HEIGHT }, () => Array(TILEMAP.WIDTH).fill(false));
+    for (let y = 0; y < TILEMAP.HEIGHT; y++) {
+    for (let x = 0; x < TILEMAP.WIDTH; x++) {
+      if (previousImage[y][x] === image[y][x]) continue;
+      for (let dy = -INCREMENTAL_MARGIN; dy <= INCREMENTAL_MARGIN; dy++) {
+      for (let dx = -INCREMENTAL_MARGIN; dx <= INCREMENTAL_MARGIN; dx++) {
+        if (changedCells[y+dy]?.[x+dx] !== undefined) changedCells[y+dy][x+dx] = true;
+      }}
+    }}
+    return changedCells;
+  }
+
+  // sets the tiles the map suggestions have to keep: the sketch's tiles,
+  //    and if there's a previous generation, its suggestions everywhere that didn't change
+  constrainSuggestions(previous, changedCells) {
+    this.groundModel.clearSetTiles();
+    this.structsModel.clearSetTiles();
+    this.layeredModel.clearSetTiles();
+
+    for (const { structType, x, y, tileID } of this.sketchTiles) {
+      if (!changedCells || changedCells[y][x]) this.setSuggestionTile(structType, x, y, tileID);
+    }
+    if (!changedCells) return;
+
+    for (let y = 0; y < TILEMAP.HEIGHT; y++) {
+    for (let x = 0; x < TILEMAP.WIDTH; x++) {
+      if (changedCells[y][x]) continue;
+      if (this.layered) {
+        previous.layeredImages.forEach((layer, i) => this.layeredModel.setTile(x, y, [layer[y][x]], i));
+      } else {
+        this.groundModel.setTile(x, y, [previous.groundImage[y][x]]);
+        this.structsModel.setTile(x, y, [previous.structsImage[y][x]]);
+      }
+    }}
+  }
+
+  async createSuggestions(seeds) {
+    if (this.layered) {
+      await this.createLayeredMaps(seeds[0]);
+    } else {
+      await Promise.all([
+        this.createGroundMap(seeds[0]),
+        this.createStructsMap_WFC(seeds[1])
+      ]);
+    }
+  }
+
+  // makes the map suggestions keep a tile generated from the sketch
+  //    the tiles of structures that are kept clear (see StructureType) are only drawn on the sketch's layer,
+  //    and the suggestions just keep other structures off of them
+  setSuggestionTile(structType, x, y, tileID) {
+    const keepClear = getStructure(structType).clearInSuggestions;
+    if (!this.layered) {
+      this.structsModel.setTile(x, y, [keepClear ? EMPTY_TILE : tileID]);
+      return;
+    }
+
+    if (keepClear) {
+      for (const layer of [TREES_LAYER, HOUSES_LAYER]) this.layeredModel.setTile(x, y, [EMPTY_TILE], layer);
+      return;
+    }
+
+    // the layered model only learned map1, so it doesn't know every tile the generators can make
+    const layer = LAYERED_MAP_LAYERS.indexOf(getStructure(structType).layer);
+    if (this.layeredTileIDs[layer].has(tileID)) this.layeredModel.setTile(x, y, [tileID], layer);
+  }
+
+  // stops the map suggestions from being generated, if they're still being generated
+  cancelGeneration() {
+    this.groundModel.cancel();
+    this.structsModel.cancel();
+    this.layeredModel.cancel();
+  }
+
+  // returns the named layers of a loaded Tiled map, with empty tiles as -1
+  getLayeredImage(key, layerNames) {
+    const mapData = this.cache.tilemap.get(key).data;
+    return layerNames.map(name => {
+      const layer = mapData.layers.find(layer => layer.name === name);
+      const image = [];
+      for (let y = 0; y < layer.height; y++) {
+        image[y] = layer.data.slice(y * layer.width, (y+1) * layer.width).map(id => id === 0 ? -1 : id);
+      }
+      return image;
+    });
+  }
+
+  async createGroundMap(seed) {
+      const onProgress = (progress) => this.countSuggestionAttempts(progress);
+      const image = await this.groundModel.generate(TILEMAP.WIDTH, TILEMAP.HEIGHT, 10, false, false, seed, null, null, onProgress);
       if (!image) throw new Error("Contradiction created");
+      this.showGroundMap(image);
+  }
+
+  async createStructsMap_WFC(seed) {
+    // this is the slowest part of generation, so report its progress
+    const onProgress = (progress) => this.reportProgress(progress);
+    const image = await this.structsModel.generate(TILEMAP.WIDTH, TILEMAP.HEIGHT, 10, true, false, seed, null, null, onProgress);
+    if (!image) throw new Error ("Contradiction created");
+    this.showStructsMap_WFC(image);
+  }
+
+  // generates the ground and structure suggestions together
+  async createLayeredMaps(seed) {
+    const onProgress = (progress) => this.reportProgress(progress);
+    const layers = await this.layeredModel.generate(TILEMAP.WIDTH, TILEMAP.HEIGHT, 10, true, false, seed, null, null, onProgress);
+    if (!layers) throw new Error ("Contradiction created");
+    this.layeredImages = layers;
+
+    // houses and fences are drawn over trees
+    const structsImage = layers[TREES_LAYER].map((row, y) => row.map((treeID, x) => {
+      const houseID = layers[HOUSES_LAYER][y][x];
+      return houseID !== -1 ? houseID : treeID;
+    }));
+
+    this.showGroundMap(layers[GROUND_LAYER]);
+    this.showStructsMap_WFC(structsImage);
+  }
+
+  // shows a finished generation exactly as it was, or no tilemap if id is null
+  showGeneration(id) {
+    const generation = this.generations.get(id) ?? null;
+    this.lastGeneration = generation;  // so only changes from the shown tilemap get regenerated next time
+
+    if (!generation) {
+      for (const map of [this.groundMap, this.structsMap_WFC, this.structsMap_Sketch]) map?.destroy();
+      this.groundMap = this.structsMap_WFC = this.structsMap_Sketch = null;
+      this.groundImage = this.structsImage_WFC = this.structsImage_Sketch = null;
+      this.layeredImages = null;
+      return;
+    }
+
+    this.layeredImages = generation.layeredImages;
+    this.showGroundMap(generation.groundImage);
+    this.showStructsMap_WFC(generation.structsImage);
+    this.createStructsMap_Sketch(generation.sketchImage);
+  }
+
+  // shows the progress of the map suggestions on the sketchpad's generate button
+  reportProgress(progress) {
+    this.countSuggestionAttempts(progress);
+    window.dispatchEvent(new CustomEvent("generationProgress", { detail: progress }));
+  }
+
+  // keeps track of the most attempts any of the map suggestions' models has needed, for the status panel
+  countSuggestionAttempts(progress) {
+    this.suggestionAttempts = Math.max(this.suggestionAttempts, progress.attempt);
+  }
+
+  showGroundMap(image) {
+      this.groundImage = image;
       
       if (this.groundMap) this.groundMap.destroy();
       this.groundMap = this.make.tilemap({
@@ -109,9 +427,8 @@ export default class Autotiler extends Phaser.Scene {
       this.groundMap.createLayer(0, this.tileset, 0, 0);
   }
 
-  createStructsMap_WFC() {
-    const image = this.structsModel.generate(TILEMAP.WIDTH, TILEMAP.HEIGHT, 10, true, false);
-    if (!image) throw new Error ("Contradiction created");
+  showStructsMap_WFC(image) {
+    this.structsImage_WFC = image;
 
     if (this.structsMap_WFC) this.structsMap_WFC.destroy();
     this.structsMap_WFC = this.make.tilemap({
@@ -123,6 +440,8 @@ export default class Autotiler extends Phaser.Scene {
   }
 
   createStructsMap_Sketch(data) {
+    this.structsImage_Sketch = data;
+
     if (this.structsMap_Sketch) this.structsMap_Sketch.destroy();
     this.structsMap_Sketch = this.make.tilemap({
       data: data,
@@ -8,14 +8,6 @@ export default class Demo_Sketch extends Phaser.Scene {
 
   cellSize = 16; // TODO: this will need correspond to cell size in tilemap/phaser
 
-  // TODO: replace function calls with actual generators
-  generator = {
-    House: (region) => console.log("TODO: link house generator", region),
-    Path: (region) => console.log("TODO: link path generator", region),
-    Fence: (region) => console.log("TODO: link fence generator", region),
-    Forest: (region) => console.log("TODO: link forest generator", region),
-  };
-
   create() {
     this.gridLines_gfx = this.add.graphics();
     this.fillTiles_gfx = this.add.graphics();
@@ -40,16 +32,16 @@ export default class Demo_Sketch extends Phaser.Scene {
     });
 
     window.addEventListener("undoSketch", (e) => {
-      // NOTE: this will just clear the Phaser canvas. Good enough for the demo, 
-      //    but will need to find a better way in Autotiler scene
+      // NOTE: this will just clear the Phaser canvas. Good enough for the demo
+      //    (the Autotiler scene shows the generation from that point in the history instead)
       this.sketch = [];
       this.structures = {};
       this.fillTiles_gfx.clear();
     });
 
     window.addEventListener("redoSketch", (e) => {
-      // NOTE: this will just clear the Phaser canvas. Good enough for the demo, 
-      //    but will need to find a better way in Autotiler scene
+      // NOTE: this will just clear the Phaser canvas. Good enough for the demo
+      //    (the Autotiler scene shows the generation from that point in the history instead)
       this.sketch = [];
       this.structures = {};
       this.fillTiles_gfx.clear();
@@ -62,16 +54,14 @@ export default class Demo_Sketch extends Phaser.Scene {
       let color = this.structures[structType].color;
 
       for (let region of regions[structType]) {
-        // DEBUG: color generation regions (placeholder visualization -- this will
-        //    eventually call structure generators instead!)
+        // DEBUG: color generation regions
         this.fillTiles(region, this.structures[structType]);
 
-        // NOTE: this is where we will call generators
-        // `structType` is "House" or "Path" or "Forest" or "Fence"
-        // `regionType` is either "box" or trace, and the associated
-        //    `region` is either a min/max pair (for box) or
-        //    an array of points (for trace)
-        this.generator[structType](region);
+        // NOTE: this scene only shows the regions, the Autotiler scene calls the generators (see structures.js)
+        // `structType` is the name of a registered structure type (ex: "House")
+        // `regionType` is either "box", "trace" or "fill", and the associated
+        //    `region` is either a min/max pair (for box), an array of points (for trace)
+        //    or a min/max pair with a mask of the cells inside the shape (for fill)
       }
     }
   }
@@ -117,6 +107,14 @@ export default class Demo_Sketch extends Phaser.Scene {
         data.height * sz
       );
     }
+    // data should have {topLeft: {x, y}, width, height, mask}
+    if (config.regionType === "fill") {
+      for (let y = 0; y < data.height; y++) {
+        for (let x = 0; x < data.width; x++) {
+          if (data.mask[y][x]) this.fillTiles_gfx.fillRect(sz * (data.topLeft.x + x), sz * (data.topLeft.y + y), sz, sz);
+        }
+      }
+    }
   }
 
 }
@@ -1,25 +1,31 @@
-import Phaser from "../../lib/PhaserModule.js";
-import WFCModel from "../2_WFC/1_Model/WFCModel.js";
-import IMAGES from "../2_WFC/2_Input/IMAGES.js";
-import generateHouse from "../3_Generators/generateHouse.js";
+import Phaser from "../../lib/phaserModule.js";
+import WFCModel from "../2_WFC/1_Model/wfcModel.js";
+import IMAGES from "../2_WFC/2_Input/images.js";
+import TILE_TRANSFORMS from "../2_WFC/2_Input/tileTransforms.js";
+import { generateStructure } from "../3_Generators/structures.js";
 
 export default class Demo_WFC extends Phaser.Scene {
   displayedMapID = 3;	// check assets folder to see all maps  
 
   N = 2;
   profileLearning = false;
+  symmetry = { rotate: false, reflectX: false, reflectY: false };	// also learn transformed patterns (see 2_Input/tileTransforms.js)
+  periodicInput = false;	// learn the input maps as if they were tiled
+  periodicOutput = false;	// generate maps that can be tiled seamlessly
 
   // width & height for entire maps should have an 8:5 ratio (e.g. 24x15, 40x25)
   width = 4;
   height = 15;
   maxAttempts = 10;
+  backtrackBudget = 0;	// 0 restarts on every contradiction
   logProgress = true;
   profileSolving = true;
+  seed = null;	// set to a number to generate the same map every time
 
   numRuns = 100;	// for this.getAverageGenerationDuration()
 
-  groundModel = new WFCModel().learn(IMAGES.GROUND, this.N, this.profileLearning);
-  structuresModel = new WFCModel().learn(IMAGES.STRUCTURES, this.N, this.profileLearning);
+  groundModel = new WFCModel().setSymmetry(this.symmetry, TILE_TRANSFORMS).setPeriodic(this.periodicInput, this.periodicOutput).learn(IMAGES.GROUND, this.N, this.profileLearning).setBacktrackBudget(this.backtrackBudget);
+  structuresModel = new WFCModel().setSymmetry(this.symmetry, TILE_TRANSFORMS).setPeriodic(this.periodicInput, this.periodicOutput).learn(IMAGES.STRUCTURES, this.N, this.profileLearning).setBacktrackBudget(this.backtrackBudget);
 
   constructor() {
     super("wfcTestingScene");
@@ -81,7 +87,7 @@ export default class Demo_WFC extends Phaser.Scene {
 
   generateMap(){
     console.log("Using model for ground");
-    const groundImage = this.groundModel.generate(this.width, this.height, this.maxAttempts, this.logProgress, this.profileSolving);
+    const groundImage = this.groundModel.generate(this.width, this.height, this.maxAttempts, this.logProgress, this.profileSolving, this.seed);
     if (!groundImage) return;
     /*
     console.log("Using model for structures");
@@ -90,12 +96,12 @@ export default class Demo_WFC extends Phaser.Scene {
     */
     
     console.log("Using house generator");
-    const structuresImage = generateHouse({
+    const structuresImage = generateStructure("House", {
       topLeft: { x: 0, y: 0 },
       bottomRight: { x: this.width-1, y: this.height-1 },
       width: this.width,
       height: this.height
-    });
+    }, this.seed);
     if (!structuresImage) return;
     
 
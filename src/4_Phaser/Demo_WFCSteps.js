@@ -0,0 +1,242 @@
+import Phaser from "../../lib/phaserModule.js";
+import TILEMAP from "./tilemap.js";
+import { Regions } from "../1_Sketchpad/strokeToTiles.js";
+import { getStructureModel, generateStructure, fitRegion } from "../3_Generators/structures.js";
+
+const HEATMAP_ALPHA = 0.6;  // must be between 0 and 1
+const LOW_ENTROPY_COLOR = { r: 40, g: 80, b: 255 };   // cells that are almost solved
+const HIGH_ENTROPY_COLOR = { r: 255, g: 60, b: 40 };  // cells that could still be anything
+
+// replayed when the sketch has no regions of structures generated with WFC
+const DEFAULT_REGION = { structType: "House", region: { topLeft: { x: 0, y: 0 }, bottomRight: { x: 4, y: 4 }, width: 5, height: 5 } };
+
+/**
+ * Replays how WFC solves (or fails to solve) the regions of the sketch one step at a time, to help understand why some sketches create contradictions.
+ * Each region is generated the same way as the Autotiler generates it (with its structure's model, fixed tiles and settings).
+ * Unsolved cells are colored by their entropy (blue for almost solved, red for anything goes) and solved cells show their tile.
+ * The cell of the current step is outlined in white, and the cell that ran out of patterns is outlined in red.
+ */
+export default class Demo_WFCSteps extends Phaser.Scene {
+  displayedMapID = 3;	// only used for its tileset
+
+  seed = null;	// set to a number to solve the same way every time
+  stepsPerSecond = 20;
+
+  constructor() {
+    super("wfcStepsScene");
+  }
+
+  /**
+   * Called every time the scene starts, since it can be stopped and started again with a newer sketch.
+   * @param {{ sketch?: any[], structures?: Object, settings?: Object }} data From the sketchpad's "WFC Steps" button (see initPhaser.js).
+   */
+  init(data) {
+    this.settings = data.settings ?? {};
+
+    /** @type {{ structType: string, region: BoundingBox | FillRegion }[]} The regions that can be replayed, fit to their structure's size limits. */
+    this.replayRegions = [];
+    const regions = data.sketch ? new Regions(data.sketch, data.structures, TILEMAP.TILE_WIDTH).get() : {};
+    for (const structType in regions) {
+      if (!getStructureModel(structType)) continue;	// structures without images aren't generated with WFC, so they have no steps
+      for (const region of regions[structType].flatMap(region => fitRegion(structType, region).regions)) {
+        this.replayRegions.push({ structType, region });
+      }
+    }
+    if (this.replayRegions.length === 0) this.replayRegions.push(DEFAULT_REGION);
+    this.regionIndex = 0;
+
+    /** @type {SolverStep[]} */
+    this.steps = [];
+    this.stepIndex = 0;
+    this.playing = false;
+    this.timeSinceStep = 0;	// in ms
+  }
+
+  preload() {
+    this.load.setPath("./assets/");
+    this.load.image("tilemap", "tinyTown_Tilemap_Packed.png");
+    this.load.tilemapTiledJSON("tinyTownMap", `maps/map${this.displayedMapID}.tmj`);
+  }
+
+  create() {
+    this.cameras.main.setBackgroundColor("#000000");	// hides the scene underneath when it's opened over another one
+    this.multiLayerMap = this.add.tilemap("tinyTownMap", 16, 16, 40, 25);
+    this.tileset = this.multiLayerMap.addTilesetImage("kenney-tiny-town", "tilemap");
+
+    // drawn over the steps layer, which is made again for every region
+    this.heatmap_gfx = this.add.graphics().setDepth(1);
+    this.highlights_gfx = this.add.graphics().setDepth(1);
+
+    this.setupControls();
+    this.selectRegion(0);
+  }
+
+  setupControls() {
+    this.record_Key = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.G);
+    this.play_Key = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
+    this.stepForward_Key = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.RIGHT);
+    this.stepBack_Key = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.LEFT);
+    this.nextContradiction_Key = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.X);
+    this.nextRegion_Key = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.N);
+
+    this.record_Key.on("down", () => this.recordSteps());
+    this.play_Key.on("down", () => this.playing = !this.playing);
+    this.stepForward_Key.on("down", () => { this.playing = false; this.showStep(this.stepIndex + 1); });
+    this.stepBack_Key.on("down", () => { this.playing = false; this.showStep(this.stepIndex - 1); });
+    this.nextContradiction_Key.on("down", () => {
+      this.playing = false;
+      const next = this.steps.findIndex((step, i) => i > this.stepIndex && step.contradiction);
+      if (next !== -1) this.showStep(next);
+    });
+    this.nextRegion_Key.on("down", () => this.selectRegion(this.regionIndex + 1));
+
+    const phaser = document.getElementById("phaser");
+    const instructions = document.createElement("section");
+    instructions.innerHTML = `
+      <h2>Controls</h2>
+      <p>
+        Solve the region and record every step: G <br>
+        Play/pause: Space <br>
+        Step forward/back: Right/Left <br>
+        Jump to the next contradiction: X <br>
+        Next region of the sketch: N
+      </p>
+    `;
+    this.stepText = document.createElement("p");
+    instructions.append(this.stepText);
+    phaser.append(instructions);
+    this.events.once("shutdown", () => instructions.remove());	// the scene can be stopped and started again
+  }
+
+  update(time, delta) {
+    if (!this.playing) return;
+    this.timeSinceStep += delta;
+    while (this.playing && this.timeSinceStep >= 1000 / this.stepsPerSecond) {
+      this.timeSinceStep -= 1000 / this.stepsPerSecond;
+      this.showStep(this.stepIndex + 1);
+      if (this.stepIndex === this.steps.length - 1) this.playing = false;
+    }
+  }
+
+  // switches to another region (wrapping around), clearing the steps of the last one
+  selectRegion(index) {
+    this.regionIndex = (index + this.replayRegions.length) % this.replayRegions.length;
+    const { structType, region } = this.replayRegions[this.regionIndex];
+    this.model = getStructureModel(structType);
+    this.weights = this.model.getWeights(null);
+    this.maxEntropy = Math.log(this.weights.length);	// the entropy of a cell is at most the log of how many patterns it could be
+    this.width = region.width;
+    this.height = region.height;
+
+    // zoom in so small regions fill the canvas
+    const zoom = Math.min(window.game.config.width / (this.width * 16), window.game.config.height / (this.height * 16));
+    this.cameras.main.setZoom(zoom).centerOn(this.width * 8, this.height * 8);
+
+    this.stepsMap?.destroy();
+    this.stepsMap = this.make.tilemap({
+      data: Array.from({ length: this.height }, () => Array(this.width).fill(-1)),
+      tileWidth: 16,
+      tileHeight: 16
+    });
+    this.stepsLayer = this.stepsMap.createLayer(0, this.tileset, 0, 0);
+
+    this.steps = [];
+    this.stepIndex = 0;
+    this.playing = false;
+    this.heatmap_gfx.clear();
+    this.highlights_gfx.clear();
+    this.stepText.textContent = `${this.describeRegion()}: press G to solve it`;
+  }
+
+  // generates the region again, keeping every step of the solver so it can be played back
+  recordSteps() {
+    const { structType, region } = this.replayRegions[this.regionIndex];
+    this.steps = [];
+    this.model.constraintSolver.onStep = (step) => this.steps.push(step);
+    try {
+      generateStructure(structType, region, this.seed, this.settings[structType]);
+      console.log(`Solved in ${this.steps.length} steps`);
+    } catch (error) {
+      console.error(error);	// ex: the set tiles contradict each other (see the last "set" step)
+    } finally {
+      this.model.constraintSolver.onStep = null;
+    }
+
+    this.playing = false;
+    this.timeSinceStep = 0;
+    this.showStep(0);
+  }
+
+  showStep(index) {
+    if (this.steps.length === 0) return;
+    this.stepIndex = Phaser.Math.Clamp(index, 0, this.steps.length - 1);
+    const step = this.steps[this.stepIndex];
+
+    this.heatmap_gfx.clear();
+    for (let y = 0; y < this.height; y++) {
+    for (let x = 0; x < this.width; x++) {
+      const cell = step.waveMatrix[y][x];
+      const possiblePatterns = cell.toArray();
+      if (possiblePatterns.length === 1) {
+        const tileID = this.model.imageLearner.patterns[possiblePatterns[0]][0][0];	// the same tile generateImage() would pick
+        if (tileID === -1) this.stepsLayer.removeTileAt(x, y);
+        else this.stepsLayer.putTileAt(tileID, x, y);
+      } else {
+        this.stepsLayer.removeTileAt(x, y);
+        if (possiblePatterns.length === 0) continue;	// a set tile that contradicted, which is outlined below
+        const entropy = this.model.constraintSolver.getShannonEntropy(cell, this.weights);
+        this.heatmap_gfx.fillStyle(this.getHeatColor(entropy / this.maxEntropy), HEATMAP_ALPHA);
+        this.heatmap_gfx.fillRect(x * 16, y * 16, 16, 16);
+      }
+    }}
+
+    this.highlights_gfx.clear();
+    if (step.y !== -1) {
+      this.highlights_gfx.lineStyle(1, 0xffffff, 1);
+      this.highlights_gfx.strokeRect(step.x * 16, step.y * 16, 16, 16);
+    }
+    if (step.contradiction) {
+      const [y, x] = step.contradiction;
+      this.highlights_gfx.lineStyle(2, 0xff0000, 1);
+      this.highlights_gfx.strokeRect(x * 16, y * 16, 16, 16);
+    }
+
+    this.stepText.textContent = `${this.describeRegion()}, step ${this.stepIndex + 1}/${this.steps.length} (attempt ${step.attempt}): ${this.describeStep(step)}`;
+  }
+
+  /**
+   * @param {number} t From 0 (low entropy) to 1 (high entropy).
+   * @returns {number}
+   */
+  getHeatColor(t) {
+    const lerp = (a, b) => Math.round(a + (b - a) * Phaser.Math.Clamp(t, 0, 1));
+    return Phaser.Display.Color.GetColor(
+      lerp(LOW_ENTROPY_COLOR.r, HIGH_ENTROPY_COLOR.r),
+      lerp(LOW_ENTROPY_COLOR.g, HIGH_ENTROPY_COLOR.g),
+      lerp(LOW_ENTROPY_COLOR.b, HIGH_ENTROPY_COLOR.b)
+    );
+  }
+
+  /** @returns {string} Ex: "House at (3, 4), 5x4 (region 1/2)" */
+  describeRegion() {
+    const { structType, region } = this.replayRegions[this.regionIndex];
+    return `${structType} at (${region.topLeft.x}, ${region.topLeft.y}), ${region.width}x${region.height} (region ${this.regionIndex + 1}/${this.replayRegions.length})`;
+  }
+
+  /**
+   * @param {SolverStep} step
+   * @returns {string}
+   */
+  describeStep(step) {
+    const contradiction = step.contradiction ? `, which left (${step.contradiction[1]}, ${step.contradiction[0]}) with no possible patterns` : "";
+    switch (step.type) {
+      case "start": return "started with every pattern possible";
+      case "set": return `set the tile at (${step.x}, ${step.y})${contradiction}`;
+      case "observe": return `observed (${step.x}, ${step.y}) as pattern ${step.pattern}`;
+      case "propagate": return `propagated from (${step.x}, ${step.y})${contradiction}`;
+      case "backtrack": return `backtracked, ruling out pattern ${step.pattern} at (${step.x}, ${step.y})${contradiction}`;
+      case "solved": return "solved";
+      case "failed": return "max attempts reached";
+    }
+  }
+}
@@ -3,6 +3,7 @@ import TILEMAP from "./tilemap.js";
 import Autotiler from "./Autotiler.js";
 import Demo_Sketch from "./Demo_Sketch.js";
 //import Demo_WFC from "./Demo_WFC.js";
+import Demo_WFCSteps from "./Demo_WFCSteps.js";
 //import HouseDataMiner from "../5_Utility/HouseDataMiner.js";
 //import HouseDataMiner2 from "../5_Utility/HouseDataMiner2.js";
 //import TilemapDataMiner from "../5_Utility/tilemapDataMiner.js";
@@ -17,6 +18,12 @@ export default function initPhaser() {
     //autoCenter: Phaser.Scale.CENTER_HORIZONTALLY,	// comment out this line to not center
     //backgroundColor: "#ebebeb",
     render: { pixelArt: true },	// scale pixel art without blurring
-    scene: [Autotiler]
+    scene: [Autotiler, Demo_WFCSteps]	// only the first scene starts on its own
+  });
+
+  // the sketchpad's "WFC Steps" button opens the step by step visualization over the tilemap, and closes it again
+  window.addEventListener("toggleWFCSteps", (e) => {
+    if (window.game.scene.isActive("wfcStepsScene")) window.game.scene.stop("wfcStepsScene");
+    else window.game.scene.start("wfcStepsScene", e.detail);
   });
 }
\ No newline at end of file
@@ -9,6 +9,17 @@ const TILEMAP = {
   HOUSE_TOP_RIGHT_TILES: [51, 55],        // blue, red
   HOUSE_DOOR_TILES: [86, 90],             // red, blue
   HOUSE_DOUBLE_DOOR_LEFT_TILES: [87, 91], // red, blue
-  HOUSE_DOUBLE_DOOR_RIGHT_TILES: [88, 92] // red, blue
+  HOUSE_DOUBLE_DOOR_RIGHT_TILES: [88, 92], // red, blue
+
+  BLUE_ROOF_TILES: [49, 50, 51, 52, 61, 62, 63, 64],
+  RED_ROOF_TILES: [53, 54, 55, 56, 65, 66, 67, 68],
+
+  ROAD_TILE: 44,  // cobblestone
+
+  PATH_TILES: [   // a 3x3 dirt patch, row by row
+    13, 14, 15,   // top-left,    top,    top-right
+    25, 26, 27,   // left,        middle, right
+    37, 38, 39    // bottom-left, bottom, bottom-right
+  ]
 };
 export default TILEMAP;
\ No newline at end of file
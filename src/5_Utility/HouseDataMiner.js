@@ -1,6 +1,6 @@
 // Used to extract the tile ID matrices from a house tilemap's layers.
 
-import Phaser from "../../lib/PhaserModule.js";
+import Phaser from "../../lib/phaserModule.js";
 
 
 
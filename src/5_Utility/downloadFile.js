@@ -0,0 +1,16 @@
+/**
+ * Makes the browser download a file with the given contents.
+ * @param {string} contents
+ * @param {string} filename
+ * @param {string} type (Default "application/json") The MIME type of the file.
+ */
+export default function downloadFile(contents, filename, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([contents], { type: type }));
+
+  const downloadLink = document.createElement("a");
+  downloadLink.href = url;
+  downloadLink.download = filename;
+  downloadLink.click();
+
+  setTimeout(() => URL.revokeObjectURL(url));	// wait for the download to start before freeing the file
+}
\ No newline at end of file
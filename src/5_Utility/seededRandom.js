@@ -0,0 +1,49 @@
+/**
+ * Returns a random number generator that works like Math.random(), except it always produces the same sequence of numbers for the same seed.
+ * Uses the Mulberry32 algorithm: https://gist.github.com/tommyettinger/46a874533244883189143505d203312c
+ * @param {number} seed Is converted to a 32-bit unsigned integer.
+ * @returns {RandomNumberGenerator}
+ */
+export default function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;	// divide by 2^32 to get a number in the range [0, 1)
+  };
+}
+
+/**
+ * Returns a new random seed.
+ * @param {RandomNumberGenerator} random (Default Math.random) Pass a seeded random number generator to derive seeds from a parent seed.
+ * @returns {number} A 32-bit unsigned integer.
+ */
+export function createRandomSeed(random = Math.random) {
+  return Math.floor(random() * 4294967296);
+}
+
+/**
+ * Converts a user-entered seed to a number. Strings of digits are used as is, anything else is hashed.
+ * @param {string} str
+ * @returns {number} A 32-bit unsigned integer.
+ */
+export function seedFromString(str) {
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  return hashString(str);
+}
+
+/**
+ * Returns the 32-bit FNV-1a hash of a string.
+ * @param {string} str
+ * @returns {number} A 32-bit unsigned integer.
+ */
+export function hashString(str) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
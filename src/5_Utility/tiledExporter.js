@@ -0,0 +1,76 @@
+// Used to save generated tilemaps as Tiled maps (.tmj files), so they can be edited further in Tiled.
+
+import TILEMAP from "../4_Phaser/tilemap.js";
+import downloadFile from "./downloadFile.js";
+
+/** The tileset every map in this project uses. The image path assumes the file is saved in assets/maps, like the training maps. */
+const TILESET = {
+  columns: 12,
+  firstgid: 1,
+  image: "../tinyTown_Tilemap_Packed.png",
+  imageheight: 176,
+  imagewidth: 192,
+  margin: 0,
+  name: "kenney-tiny-town",
+  spacing: 0,
+  tilecount: 132,
+  tileheight: TILEMAP.TILE_WIDTH,
+  tilewidth: TILEMAP.TILE_WIDTH
+};
+
+/**
+ * Builds a Tiled map (in the same JSON format as the .tmj files in assets) with one tile layer per image.
+ * @param {{ name: string, image: TilemapImage, opacity?: number }[]} layers In order from bottom to top. Every image must have the same size.
+ * @returns {object}
+ */
+export function createTiledMap(layers) {
+  const height = layers[0].image.length;
+  const width = layers[0].image[0].length;
+
+  return {
+    compressionlevel: -1,
+    height: height,
+    infinite: false,
+    layers: layers.map(({ name, image, opacity = 1 }, i) => ({
+      data: image.flat().map(toGlobalTileID),
+      height: height,
+      id: i+1,
+      name: name,
+      opacity: opacity,
+      type: "tilelayer",
+      visible: true,
+      width: width,
+      x: 0,
+      y: 0
+    })),
+    nextlayerid: layers.length+1,
+    nextobjectid: 1,
+    orientation: "orthogonal",
+    renderorder: "right-down",
+    tiledversion: "1.10.2",
+    tileheight: TILEMAP.TILE_WIDTH,
+    tilesets: [TILESET],
+    tilewidth: TILEMAP.TILE_WIDTH,
+    type: "map",
+    version: "1.10",
+    width: width
+  };
+}
+
+/**
+ * Downloads the layers as a Tiled map file.
+ * @param {{ name: string, image: TilemapImage, opacity?: number }[]} layers In order from bottom to top. Every image must have the same size.
+ * @param {string} filename
+ */
+export default function exportTiledMap(layers, filename) {
+  downloadFile(JSON.stringify(createTiledMap(layers)), filename);
+}
+
+/**
+ * Tile IDs in this project are already Tiled's global tile IDs (since the tileset's firstgid is 1), except that empty tiles are -1 (or 0) instead of 0.
+ * @param {number} tileID
+ * @returns {number}
+ */
+function toGlobalTileID(tileID) {
+  return tileID > 0 ? tileID : 0;
+}
\ No newline at end of file
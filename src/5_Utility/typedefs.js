@@ -7,13 +7,35 @@
 
 // Imports (for the following typedefs to use)
 /**
- * @typedef {import("../2_WFC/1_Model/Bitmask.js").default} Bitmask
+ * @typedef {import("../2_WFC/1_Model/bitmask.js").default} Bitmask
+ * @typedef {import("../2_WFC/1_Model/wfcModel.js").default} WFCModel
+ */
+
+// Utility
+/**
+ * @typedef {() => number} RandomNumberGenerator A function that returns a number in the range [0, 1), just like Math.random().
  */
 
 // Sketchpad
 /**
  * @typedef {{ x: number, y: number }} Point Note that these are canvas coordinates.
  * @typedef {{ topLeft: Point, bottomRight: Point, width: number, height: number }} BoundingBox Note that the two points are in tilemap coordinates.
+ * @typedef {BoundingBox & { mask: boolean[][] }} FillRegion The region of a "fill" structure. mask[y][x] is true for the cells of the bounding box that are inside the drawn shape (relative to topLeft).
+ */
+
+// Generators
+/**
+ * @typedef {{ x: number, y: number, tileID: number }} TilePlacement A tile to be placed at a position, in tilemap coordinates. Generators for "trace" regions return these instead of a TilemapImage.
+ *
+ * @typedef {{ x: number, y: number, tiles: number[] }} FixedTileRule A cell of a generated structure that has to be one of the tiles. Negative coordinates count from the right or bottom edge (ex: x = -1 is the last column).
+ * @typedef {{ minWidth: number, minHeight: number, maxWidth: number, maxHeight: number }} SizeLimits The smallest and largest a structure can be, in tiles.
+ * @typedef {{ name: string, title: string, minLabel: string, maxLabel: string }} StructureSetting A slider next to a structure's pen. Each step doubles or halves the setting's value, which is 1 in the middle.
+ * @typedef {{ model: WFCModel | null, seed: number | null, settings: Object<string, number> }} StructureContext What a structure generator gets besides its region. model has learned the structure's images and has its fixed tiles set (null if it has no images).
+ * @typedef {(region: BoundingBox | FillRegion | Point[], context: StructureContext) => TilemapImage | TilePlacement[]} StructureGenerator
+ * @typedef {{ name: string, color: string, buttonClass?: string, regionType: "box" | "trace" | "fill", layer: string, images?: TilemapImage[], sizeLimits?: SizeLimits, fixedTiles?: FixedTileRule[], settings?: StructureSetting[], clearInSuggestions?: boolean, generator: StructureGenerator }} StructureType
+ *    A kind of structure that can be drawn on the sketchpad. buttonClass is the Bulma class of its pen, and layer is the layer of the layered model's map that its tiles belong to.
+ *    Regions outside of sizeLimits (if there are any) are grown or split by fitRegion() before they're generated.
+ *    Structures with clearInSuggestions aren't kept by the map suggestions (which would contradict them), the suggestions only keep other structures off of them.
  */
 
 // WFC
@@ -22,15 +44,33 @@
  * 
  * @typedef {number[][]} TilemapImage A 2D matrix of tile IDs that represents a layer of a tilemap.
  * 
+ * @typedef {TilemapImage[]} LayeredImage Several layers of the same tilemap, in a fixed order (ex: ground, trees, houses).
+ * 
  * @typedef {number[][]} Pattern A 2D NxN matrix of tile IDs.
  *
+ * @typedef {{ rotate: bool, reflectX: bool, reflectY: bool }} Symmetry Which transforms to apply to learned patterns. rotate turns them 90° clockwise, reflectX mirrors them left to right and reflectY mirrors them top to bottom.
+ * @typedef {{ rotate: Map<number, number>, reflectX: Map<number, number>, reflectY: Map<number, number> }} TileTransforms For each transform, maps a tile ID to the ID of the tile it becomes.
+ * @typedef {{ symmetry?: Symmetry, tileTransforms?: TileTransforms | null, periodicInput?: bool, modelType?: string }} LearnOptions The settings of a model that change what it learns from the same images.
+ *
  * @typedef {Bitmask} TilePatternsBitmask Given a tile A, stores which patterns contain A as their top left tile.
  * @typedef {[y: number, x: number, tilePatternsBitmask: TilePatternsBitmask]} SetTileInstruction
  * 
+ * @typedef {Map<number, number>} TileWeights Maps tile IDs to weight multipliers, to make those tiles more (> 1) or less (< 1) common in a generated image.
+ * 
  * @typedef {Bitmask} AdjacentPatternsBitmask Given a pattern A, stores which patterns are adjacent to A in a single direction.
  * @typedef {AdjacentPatternsBitmask[]} AdjacentPatternsMap An array of four AdjacentPatternsBitmasks. Given a pattern A, stores which patterns are adjacent to A in each of the four directions (in order of up, down, left, right).
  * 
  * @typedef {Bitmask} PossiblePatternsBitmask Stores which patterns a cell can become.
  * 
  * @typedef {PossiblePatternsBitmask} Cell Currently the only info a cell needs to contain is its PossiblePatternsBitmask so for simplicity it is just that instead of an object containing it.
+ * 
+ * @typedef {{ attempt: number, solvedCells: number, totalCells: number }} SolverProgress How far along the ConstraintSolver is. A cell is solved once it only has one possible pattern left.
+ * 
+ * @typedef {{ up?: number[], down?: number[], left?: number[], right?: number[] }} TileNeighbors For each direction, the IDs of the tiles that can be in that direction of a tile.
+ * @typedef {{ id: number, weight?: number, sockets?: string[], neighbors?: TileNeighbors }} TileRule Declares a tile for the simple tiled model (TiledModel). weight defaults to 1. sockets is an array of four labels (in order of up, down, left, right), and two tiles can be next to each other if the labels on their facing sides are equal.
+ * 
+ * @typedef {{ version: number, patterns: Pattern[], weights: number[], adjacencies: string[][], tilesToPatterns: [tileID: number, bitmask: string][] }} LearnedData Everything an ImageLearner learned, as plain data. Bitmasks are stored as base64 strings.
+ * 
+ * @typedef {{ type: "start" | "set" | "observe" | "propagate" | "backtrack" | "solved" | "failed", attempt: number, y: number, x: number, pattern?: number, contradiction?: number[] | null, waveMatrix: Cell[][] }} SolverStep A step of ConstraintSolver.solve() and the wave matrix right after it. (y, x) is the cell that was set, observed, propagated from or backtracked, or (-1, -1) for the other types. pattern is the pattern that was observed or ruled out, and contradiction is the position ([y, x]) of the cell that ran out of patterns (null if none did). "start" begins every attempt, and is followed by a "set" step for each set tile.
+ * @typedef {{ y: number, x: number, pattern: number, trailLength: number }} Decision An observation made while solving: which cell was observed, which pattern it became, and how long the solver's trail was right before, so the solver can backtrack to it.
  */
\ No newline at end of file
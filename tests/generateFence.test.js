@@ -0,0 +1,38 @@
+/*
+  Checks that the map suggestions can keep the fences drawn on the sketch
+  Run from the repository's root with: node --experimental-default-type=module --test tests/
+*/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getSuggestionTiles, canSetSuggestionTiles } from "./suggestionTiles.js";
+
+const { generateStructure } = await import("../src/3_Generators/structures.js");
+
+// the cells from (x0, y0) to (x1, y1), like a trace drawn in a straight line
+function line(x0, y0, x1, y1) {
+  const length = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0));
+  return Array.from({ length: length + 1 }, (_, i) => ({ x: Math.round(x0 + (x1 - x0) * i / length), y: Math.round(y0 + (y1 - y0) * i / length) }));
+}
+
+const TRACES = {
+  "horizontal": line(5, 10, 20, 10),
+  "L-shaped": [...line(5, 5, 5, 15), ...line(6, 15, 18, 15)],
+  "diagonal": line(4, 4, 16, 14)
+};
+
+for (const [name, trace] of Object.entries(TRACES)) {
+  test(`the set tiles of a ${name} fence don't contradict`, () => {
+    const fence = generateStructure("Fence", trace);
+    assert.ok(fence.length > 0);
+    assert.ok(canSetSuggestionTiles(getSuggestionTiles("Fence", fence)));
+  });
+}
+
+test("the set tiles of a closed fence with a gate don't contradict", () => {
+  const trace = [...line(8, 6, 20, 6), ...line(20, 7, 20, 14), ...line(19, 14, 8, 14), ...line(8, 13, 8, 7)];
+  const fence = generateStructure("Fence", trace);
+  const bottomSide = fence.filter(({ y }) => y === 14);
+  assert.equal(bottomSide.length, 20 - 8, "the closed fence has no gate in its bottom side");
+  assert.ok(canSetSuggestionTiles(getSuggestionTiles("Fence", fence)));
+});
@@ -0,0 +1,31 @@
+/*
+  Checks that the map suggestions can keep a house and the roads from its door
+  Run from the repository's root with: node --experimental-default-type=module --test tests/
+*/
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSketchImage, getSuggestionTiles, canSetSuggestionTiles } from "./suggestionTiles.js";
+
+const { generateStructure } = await import("../src/3_Generators/structures.js");
+const { default: generateRoads } = await import("../src/3_Generators/generateRoads.js");
+
+test("the set tiles of every house size and its roads don't contradict", () => {
+  const { x: left, y: top } = { x: 10, y: 8 };
+  for (let width = 3; width <= 6; width++) {
+  for (let height = 3; height <= 5; height++) {
+    const sketchImage = createSketchImage();
+    const house = generateStructure("House", { topLeft: { x: left, y: top }, bottomRight: { x: left + width - 1, y: top + height - 1 }, width, height }, width * 10 + height);
+    const placements = [];
+    for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      sketchImage[top + y][left + x] = house[y][x];
+      placements.push({ x: left + x, y: top + y, tileID: house[y][x] });
+    }}
+
+    const roads = generateRoads(sketchImage);
+    assert.ok(roads.length > 0, `a ${width}x${height} house got no roads`);
+    placements.push(...getSuggestionTiles("Path", roads));  // connectDoors() adds roads as paths
+    assert.ok(canSetSuggestionTiles(placements), `the set tiles of a ${width}x${height} house and its roads contradict`);
+  }}
+});
@@ -0,0 +1,60 @@
+/*
+  Helpers for the tests of tiles that the map suggestions have to keep (see Autotiler.constrainSuggestions())
+*/
+
+globalThis.document = { getElementById: () => ({ width: 640, height: 400 }) };  // the sketchpad modules the generators import look for their canvas
+const { default: WFCModel } = await import("../src/2_WFC/1_Model/wfcModel.js");
+const { default: IMAGES } = await import("../src/2_WFC/2_Input/images.js");
+const { default: TILEMAP } = await import("../src/4_Phaser/tilemap.js");
+const { getStructure } = await import("../src/3_Generators/structures.js");
+
+export const EMPTY_TILE = -1;  // see Autotiler.setSuggestionTile()
+const MARGIN = 3;  // in tiles, how much of the map around the set tiles is checked
+
+// the same model as the Autotiler's structure suggestions
+export const structsModel = new WFCModel().setBacktrackBudget(200).learn([...IMAGES.STRUCTURES, ...IMAGES.HOUSES], 2);
+
+/**
+ * Returns an empty sketch image (all 0s), the size of the tilemap.
+ * @returns {TilemapImage}
+ */
+export function createSketchImage() {
+  return Array.from({ length: TILEMAP.HEIGHT }, () => Array(TILEMAP.WIDTH).fill(0));
+}
+
+/**
+ * Returns the tiles the structure suggestions keep for a structure's tiles, the same way as Autotiler.setSuggestionTile():
+ * the tiles themselves, or empty tiles for structures that are kept clear.
+ * @param {string} structType
+ * @param {TilePlacement[]} placements
+ * @returns {TilePlacement[]}
+ */
+export function getSuggestionTiles(structType, placements) {
+  const keepClear = getStructure(structType).clearInSuggestions;
+  return placements.map(({ x, y, tileID }) => ({ x, y, tileID: keepClear ? EMPTY_TILE : tileID }));
+}
+
+/**
+ * Returns whether the structure suggestions can keep some tiles without their set tiles contradicting.
+ * Instead of the whole map, only the part of it around the tiles is checked, which is much faster.
+ * @param {TilePlacement[]} placements In tilemap coordinates.
+ * @returns {boolean}
+ */
+export function canSetSuggestionTiles(placements) {
+  const left = Math.max(0, Math.min(...placements.map(p => p.x)) - MARGIN);
+  const top = Math.max(0, Math.min(...placements.map(p => p.y)) - MARGIN);
+  const right = Math.min(TILEMAP.WIDTH - 1, Math.max(...placements.map(p => p.x)) + MARGIN);
+  const bottom = Math.min(TILEMAP.HEIGHT - 1, Math.max(...placements.map(p => p.y)) + MARGIN);
+
+  structsModel.clearSetTiles();
+  for (const { x, y, tileID } of placements) structsModel.setTile(x - left, y - top, [tileID]);
+
+  const solver = structsModel.constraintSolver;
+  solver.initializeWaveMatrix(structsModel.imageLearner.weights.length, right - left + 1, bottom - top + 1);
+  try {
+    solver.setTiles(structsModel.setTilesInstructions, structsModel.imageLearner.adjacencies);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}